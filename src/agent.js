@@ -21,6 +21,27 @@
  * @param {boolean} [opt_options.pointToDirection = true] If true, object will point in the direction it's moving.
  * @param {boolean} [opt_options.followMouse = false] If true, object will follow mouse.
  * @param {boolean} [opt_options.seekTarget = null] An object to seek.
+ * @param {Object} [opt_options.arriveTarget = null] An object to seek, slowing down to stop at it.
+ * @param {number} [opt_options.arriveRadius = 100] The distance from the arriveTarget to start slowing down.
+ * @param {Object} [opt_options.pursueTarget = null] An object to pursue. Steers toward where the object will be.
+ * @param {Object} [opt_options.evadeTarget = null] An object to evade. Steers away from where the object will be.
+ * @param {boolean} [opt_options.wander = false] Set to true to wander. Steers toward a point moving randomly
+ *    around a circle projected in front of the object.
+ * @param {number} [opt_options.wanderDistance = 60] The distance from the object to the center of the wander circle.
+ * @param {number} [opt_options.wanderRadius = 20] The radius of the wander circle.
+ * @param {number} [opt_options.wanderChange = 20] The maximum change in degrees of the point on the wander circle each step.
+ * @param {Object} [opt_options.leader = null] An object to follow. Arrives at a point behind the leader
+ *    and moves out of the leader's way.
+ * @param {number} [opt_options.leaderDistance = 50] The distance behind the leader to follow at.
+ * @param {number} [opt_options.leaderSightRadius = 30] The radius of the zone in front of the leader
+ *    that followers move out of.
+ * @param {boolean} [opt_options.queue = false] Set to true to brake when a flockmate is directly ahead.
+ * @param {number} [opt_options.queueDistance = 40] The distance ahead of the object to check for flockmates when queue = true.
+ * @param {number} [opt_options.queueBrake = 0.8] The share of the object's velocity and acceleration removed
+ *    each step when braking.
+ * @param {Object} [opt_options.followPath = null] A Path to follow. Steers along the path and back toward it
+ *    when the object's predicted location is outside the path's radius.
+ * @param {number} [opt_options.pathLookAhead = 25] The distance ahead of the object to predict its location when following a path.
  * @param {boolean} [opt_options.isStatic = false] If true, object will not move.
  * @param {boolean} [opt_options.checkEdges = true] Set to true to check the object's location against the world's bounds.
  * @param {boolean} [opt_options.wrapEdges = false] Set to true to set the object's location to the opposite
@@ -28,6 +49,9 @@
  * @param {boolean} [opt_options.avoidEdges = false] Set to true to calculate a steering force away from the
  * world's bounds.
  * @param {number} [opt_options.avoidEdgesStrength = 200] Sets the strength of the steering force when avoidEdges = true.
+ * @param {boolean} [opt_options.avoidObstacles = false] Set to true to steer around Obstacles in front of the object.
+ * @param {number} [opt_options.avoidObstaclesDistance = 60] The length of the feeler projected in front of
+ *    the object to look for Obstacles when avoidObstacles = true.
  * @param {number} [opt_options.bounciness = 0.75] Set the strength of the rebound when an object is outside the
  * world's bounds and wrapEdges = false.
  * @param {number} [opt_options.maxSteeringForce = 10] Set the maximum strength of any steering force.
@@ -38,7 +62,36 @@
  * @param {number} [opt_options.separateStrength = 1] The strength of the force to apply to separating when flocking = true.
  * @param {number} [opt_options.alignStrength = 1] The strength of the force to apply to aligning when flocking = true.
  * @param {number} [opt_options.cohesionStrength = 1] The strength of the force to apply to cohesion when flocking = true.
+ * @param {number} [opt_options.alignDistance = null] The distance within which flockmates are aligned with
+ *    when flocking = true. If null, twice the object's current width.
+ * @param {number} [opt_options.cohesionDistance = 10] The distance within which flockmates are steered
+ *    toward when flocking = true.
+ * @param {number} [opt_options.viewAngle = 360] The width in degrees of the object's field of view when
+ *    flocking = true. Neighbors outside the view are ignored.
+ * @param {Array|string|function} [opt_options.flockWith = null] The elements to flock with. Pass class names
+ *    or tags as a string or an array, or a function that receives an element and returns true to flock with it.
+ *    If null, flocks with elements with the same className.
  * @param {Object} [opt_options.flowField = null] If a flow field is set, object will use it to apply a force.
+ * @param {Array} [opt_options.wiring = null] Connects sensors to a left and right motor like a Braitenberg
+ *    vehicle. Each connection is an object with a 'sensor', a 'weight' (default 1; negative weights inhibit)
+ *    and either a 'motor' ('left', 'right' or 'both') or 'crossed' (default false). Without a motor, sensors
+ *    with a negative offsetAngle drive the left motor, positive the right and 0 both; crossed connections
+ *    swap sides. When set, sensors no longer apply their behavior forces.
+ * @param {number} [opt_options.motorBias = 0] The speed of both motors with no stimulus, as a share of maxSpeed.
+ * @param {number} [opt_options.wheelBase = The object's width] The distance between the motors. The smaller
+ *    the distance, the faster the object turns.
+ * @param {Object} [opt_options.controller = null] A NeuralNetwork that steers the object. Its inputs are each
+ *    sensor's intensity, the object's velocity as a share of maxSpeed and the cosine and sine of its angle;
+ *    its outputs are a steering force and a thrust. When set, sensors no longer apply their behavior forces.
+ * @param {number} [opt_options.energy = null] The object's energy. If set, energy decays each step, is replenished
+ *    by consuming stimuli and the object is destroyed when it reaches 0.
+ * @param {number} [opt_options.maxEnergy = The initial energy] The most energy the object can hold.
+ * @param {number} [opt_options.energyDecay = 0.1] The energy lost each step.
+ * @param {Array} [opt_options.consumes = []] The names of the stimuli the object consumes when it overlaps them. eg. ['food']
+ * @param {number} [opt_options.consumeRate = 1] The quantity consumed from each overlapping stimulus each step.
+ * @param {number} [opt_options.quantity = null] If the object is a stimulus, the quantity available to consume.
+ *    The object shrinks and fades as it is consumed and is destroyed when empty. If null, the object is never used up.
+ * @param {number} [opt_options.nutrition = 1] If the object is a stimulus, the energy gained per unit of quantity consumed.
  * @param {function} [opt_options.beforeStep = ''] A function to run before the step() function.
  * @param {function} [opt_options.afterStep = ''] A function to run after the step() function.
  */
@@ -48,7 +101,19 @@ function Agent(opt_options) {
 
   'use strict';
 
-  var options = opt_options || {};
+  var options = opt_options || {},
+      layers = options.controller ? options.controller.layers : null,
+      inputs = (options.sensors || []).length + 4;
+
+  // check the controller before Element registers the object
+  if (layers) {
+    if (layers[0] !== inputs) {
+      throw new Error('Agent: controller needs ' + inputs + ' inputs; one per sensor plus 4.');
+    }
+    if (layers[layers.length - 1] < 2) {
+      throw new Error('Agent: controller needs at least 2 outputs.');
+    }
+  }
 
   exports.Element.call(this, options);
 
@@ -62,6 +127,23 @@ function Agent(opt_options) {
   this.pointToDirection = options.pointToDirection === false ? false : options.pointToDirection || true;
   this.followMouse = !!options.followMouse;
   this.seekTarget = options.seekTarget || null;
+  this.arriveTarget = options.arriveTarget || null;
+  this.arriveRadius = options.arriveRadius === 0 ? 0 : options.arriveRadius || 100;
+  this.pursueTarget = options.pursueTarget || null;
+  this.evadeTarget = options.evadeTarget || null;
+  this.wander = !!options.wander;
+  this.wanderDistance = options.wanderDistance === 0 ? 0 : options.wanderDistance || 60;
+  this.wanderRadius = options.wanderRadius === 0 ? 0 : options.wanderRadius || 20;
+  this.wanderChange = options.wanderChange === 0 ? 0 : options.wanderChange || 20;
+  this.wanderAngle = options.wanderAngle || 0; // the angle of the point on the wander circle
+  this.leader = options.leader || null;
+  this.leaderDistance = options.leaderDistance === 0 ? 0 : options.leaderDistance || 50;
+  this.leaderSightRadius = options.leaderSightRadius === 0 ? 0 : options.leaderSightRadius || 30;
+  this.queue = !!options.queue;
+  this.queueDistance = options.queueDistance === 0 ? 0 : options.queueDistance || 40;
+  this.queueBrake = options.queueBrake === 0 ? 0 : options.queueBrake || 0.8;
+  this.followPath = options.followPath || null;
+  this.pathLookAhead = options.pathLookAhead === 0 ? 0 : options.pathLookAhead || 25;
   this.followTarget = options.followTarget || null;
   this.isStatic = !!options.isStatic;
   this.draggable = !!options.draggable;
@@ -69,6 +151,8 @@ function Agent(opt_options) {
   this.wrapEdges = !!options.wrapEdges;
   this.avoidEdges = !!options.avoidEdges;
   this.avoidEdgesStrength = options.avoidEdgesStrength === 0 ? 0 : options.avoidEdgesStrength || 200;
+  this.avoidObstacles = !!options.avoidObstacles;
+  this.avoidObstaclesDistance = options.avoidObstaclesDistance === 0 ? 0 : options.avoidObstaclesDistance || 60;
   this.bounciness = options.bounciness === 0 ? 0 : options.bounciness || 0.75;
   this.maxSteeringForce = options.maxSteeringForce === 0 ? 0 : options.maxSteeringForce || 100;
   this.turningRadius = options.turningRadius === 0 ? 0 : options.turningRadius || 90;
@@ -78,7 +162,26 @@ function Agent(opt_options) {
   this.separateStrength = options.separateStrength === 0 ? 0 : options.separateStrength || 0.3;
   this.alignStrength = options.alignStrength === 0 ? 0 : options.alignStrength || 0.2;
   this.cohesionStrength = options.cohesionStrength === 0 ? 0 : options.cohesionStrength || 0.1;
+  this.alignDistance = options.alignDistance === 0 ? 0 : options.alignDistance || null;
+  this.cohesionDistance = options.cohesionDistance === 0 ? 0 : options.cohesionDistance || 10;
+  this.viewAngle = options.viewAngle === 0 ? 0 : options.viewAngle || 360;
+  this.flockWith = options.flockWith || null;
   this.flowField = options.flowField || null;
+  this.wiring = options.wiring || null;
+  this.motorBias = options.motorBias || 0;
+  this.wheelBase = options.wheelBase || this.width;
+  this.controller = options.controller || null;
+  this.leftMotorSpeed = 0;
+  this.rightMotorSpeed = 0;
+  this.energy = typeof options.energy === 'number' ? options.energy : null;
+  this.maxEnergy = options.maxEnergy || this.energy;
+  this.energyDecay = options.energyDecay === 0 ? 0 : options.energyDecay || 0.1;
+  this.consumes = options.consumes || [];
+  this.consumeRate = options.consumeRate === 0 ? 0 : options.consumeRate || 1;
+  this.consumed = 0; // the total quantity consumed
+  this.quantity = typeof options.quantity === 'number' ? options.quantity : null;
+  this.maxQuantity = this.quantity;
+  this.nutrition = options.nutrition === 0 ? 0 : options.nutrition || 1;
   this.beforeStep = options.beforeStep || undefined;
   this.afterStep = options.afterStep || undefined;
 
@@ -112,7 +215,7 @@ function Agent(opt_options) {
     });
   })(this);
 
-  if (this.draggable) {
+  if (this.draggable && this.el) {
     exports.Utils.addEvent(this.el, 'mouseover', mouseover);
     exports.Utils.addEvent(this.el, 'mousedown', mousedown);
     exports.Utils.addEvent(this.el, 'mousemove', mousemove);
@@ -133,8 +236,8 @@ Agent.prototype.step = function() {
 
   'use strict';
 
-  var i, max, dir, friction, force, r, theta, x, y, sensor, className, sensorActivated,
-    world = this.world, elements = exports.elementList.all();
+  var i, max, dir, friction, force, r, theta, x, y, sensor, className, sensorActivated, liquids,
+    world = this.world, dt = exports.universe.dt;
 
   //
 
@@ -149,16 +252,21 @@ Agent.prototype.step = function() {
     // APPLY FORCES -- start
 
     if (exports.liquids.length > 0) { // liquid
-      for (i = 0, max = exports.liquids.length; i < max; i += 1) {
-        if (this.id !== exports.liquids[i].id && this.isInside(exports.liquids[i])) {
-          force = this.drag(exports.liquids[i]);
+      liquids = world.spatialHash.getElementsInRect(this.location.x - this.width/2,
+          this.location.y - this.height/2, this.width, this.height);
+      for (i = 0, max = liquids.length; i < max; i += 1) {
+        if (this.id !== liquids[i].id && exports.liquids.indexOf(liquids[i]) !== -1 && this.isInside(liquids[i])) {
+          force = this.drag(liquids[i]);
           this.applyForce(force);
-          className = exports.liquids[i].className + ' activated';
-          exports.liquids[i].el.className = className;
+          if (liquids[i].el) {
+            className = liquids[i].className + ' activated';
+            liquids[i].el.className = className;
+          }
         }
       }
     }
 
+    // attractors and repellers have no range, so they are not looked up in the spatial hash
     if (exports.repellers.length > 0) { // repeller
       for (i = 0, max = exports.repellers.length; i < max; i += 1) {
         if (this.id !== exports.repellers[i].id) {
@@ -190,8 +298,9 @@ Agent.prototype.step = function() {
         sensor.location.x = this.location.x;
         sensor.location.y = this.location.y;
         sensor.location.add(new exports.Vector(x, y)); // position the sensor
+        sensor.angle = this.angle + sensor.offsetAngle; // face away from the agent
 
-        if (sensor.activated) {
+        if (sensor.activated && !this.wiring && !this.controller) {
           this.applyForce(sensor.getActivationForce({
             agent: this
           }));
@@ -201,11 +310,17 @@ Agent.prototype.step = function() {
       }
     }
 
+    if (this.wiring) { // drive the motors from the sensors
+      this.applyForce(this.getWiringForce());
+    } else if (this.controller) { // steer with the controller
+      this.applyForce(this.getControllerForce());
+    }
+
     /**
      * If no sensors were activated and this.motorSpeed != 0,
      * apply a force in the direction of the current velocity.
      */
-    if (!sensorActivated && this.motorSpeed) {
+    if (!sensorActivated && !this.wiring && !this.controller && this.motorSpeed) {
       dir = exports.Utils.clone(this.velocity);
       dir.normalize();
       if (this.velocity.mag() > this.motorSpeed) { // decelerate to defaultSpeed
@@ -239,6 +354,34 @@ Agent.prototype.step = function() {
       this.applyForce(this.seek(this.seekTarget));
     }
 
+    if (this.arriveTarget) { // arrive at target
+      this.applyForce(this.arrive(this.arriveTarget));
+    }
+
+    if (this.pursueTarget) { // pursue target
+      this.applyForce(this.pursue(this.pursueTarget));
+    }
+
+    if (this.evadeTarget) { // evade target
+      this.applyForce(this.evade(this.evadeTarget));
+    }
+
+    if (this.wander) { // wander
+      this.applyForce(this.getWanderForce());
+    }
+
+    if (this.leader) { // follow leader; keep apart from other followers unless already flocking
+      this.applyForce(this.followLeader(this.leader));
+      if (!this.flocking) {
+        this.applyForce(this.separate(world.spatialHash.getNeighbors(this.location,
+            this.desiredSeparation)).mult(this.separateStrength));
+      }
+    }
+
+    if (this.followPath) { // follow path
+      this.applyForce(this.getPathForce(this.followPath));
+    }
+
     if (this.flowField) { // follow flow field
       var res = this.flowField.resolution,
         col = Math.floor(this.location.x/res),
@@ -262,16 +405,27 @@ Agent.prototype.step = function() {
 
     }
 
-    if (this.flocking) {
-      this.flock(elements);
+    if (this.flocking) { // search the largest of the separate, align and cohesion distances
+      this.flock(world.spatialHash.getNeighbors(this.location,
+          Math.max(this.desiredSeparation, this.alignDistance === null ? this.width * 2 : this.alignDistance,
+          this.cohesionDistance, 10)));
     }
 
     if (this.avoidEdges) {
       this.checkAvoidEdges();
     }
 
+    if (this.avoidObstacles && exports.obstacles.length > 0) { // avoid obstacles
+      this.applyForce(this.getAvoidObstaclesForce());
+    }
+
+    if (this.queue) { // brake after all other forces are applied
+      this.checkQueue();
+    }
+
     // end -- APPLY FORCES
 
+    this.acceleration.mult(dt); // scale by the time step
     this.velocity.add(this.acceleration); // add acceleration
 
     if (this.maxSpeed) {
@@ -282,7 +436,8 @@ Agent.prototype.step = function() {
       this.velocity.limitLow(this.minSpeed); // check if velocity < minSpeed
     }
 
-    this.location.add(this.velocity); // add velocity
+    this.location.x += this.velocity.x * dt; // add velocity
+    this.location.y += this.velocity.y * dt;
 
     if (this.pointToDirection) { // object rotates toward direction
       if (this.velocity.mag() > 0.1) {
@@ -329,9 +484,95 @@ Agent.prototype.step = function() {
     if (this.lifespan > 0) {
       this.lifespan -= 1;
     }
+
+    if (this.consumes.length) {
+      this.consumeStimuli();
+    }
+
+    if (this.energy !== null) { // starve
+      this.energy -= this.energyDecay;
+      if (this.energy <= 0) {
+        this.energy = 0;
+        this.destroy();
+      }
+    }
   }
 };
 
+/**
+ * Consumes the stimuli in the object's 'consumes' list that it overlaps.
+ * Each step, takes up to consumeRate from each stimulus and gains its
+ * nutrition per unit taken, up to maxEnergy.
+ */
+Agent.prototype.consumeStimuli = function() {
+
+  'use strict';
+
+  var i, max, j, maxJ, list, stimulus, amount,
+    candidates = this.world.spatialHash.getElementsInRect(this.location.x - this.width/2,
+        this.location.y - this.height/2, this.width, this.height);
+
+  for (i = 0, max = this.consumes.length; i < max; i += 1) {
+    list = exports.System.getStimulusList(this.consumes[i]);
+    if (!list || !list.length) {
+      continue;
+    }
+    for (j = 0, maxJ = candidates.length; j < maxJ; j += 1) {
+      stimulus = candidates[j];
+      if (stimulus !== this && !stimulus.isDestroyed && list.indexOf(stimulus) !== -1 &&
+          exports.Collision.getContact(this, stimulus)) {
+        amount = stimulus.deplete(this.consumeRate);
+        this.consumed += amount;
+        if (this.energy !== null) {
+          this.energy = Math.min(this.energy + amount * stimulus.nutrition, this.maxEnergy);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Removes an amount from the object's quantity. Scales the object's size
+ * and opacity by the share of quantity left and destroys the object when
+ * its quantity reaches 0. Objects without a quantity are never used up.
+ *
+ * @param {number} amount The amount to remove.
+ * @returns {number} The amount removed.
+ */
+Agent.prototype.deplete = function(amount) {
+
+  'use strict';
+
+  var ratio;
+
+  if (this.quantity === null) {
+    return amount;
+  }
+
+  if (!this._fullSize) { // save the size and opacity at full quantity
+    this._fullSize = {
+      width: this.width,
+      height: this.height,
+      opacity: this.opacity
+    };
+  }
+
+  amount = Math.min(amount, this.quantity);
+  this.quantity -= amount;
+
+  if (this.quantity <= 0) {
+    this.quantity = 0;
+    this.destroy();
+  } else {
+    ratio = this.maxQuantity ? this.quantity / this.maxQuantity : 1;
+    this.width = this._fullSize.width * ratio;
+    this.height = this._fullSize.height * ratio;
+    this.opacity = this._fullSize.opacity * ratio;
+  }
+
+  return amount;
+};
+
 /**
  * Applies a force to this object's acceleration via F = M * A.
  *
@@ -377,6 +618,345 @@ Agent.prototype.seek = function(target) {
   return desiredVelocity;
 };
 
+/**
+ * Calculates a steering force to apply to an object arriving at another object.
+ * Inside the arriveRadius, the object slows down in proportion to its distance
+ * from the target and stops at the target.
+ *
+ * @param {Object} target The object to arrive at.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.arrive = function(target) {
+
+  'use strict';
+
+  var desiredVelocity = exports.Vector.VectorSub(target.location, this.location),
+    distanceToTarget = desiredVelocity.mag();
+
+  desiredVelocity.normalize();
+
+  if (distanceToTarget < this.arriveRadius) {
+    desiredVelocity.mult(exports.Utils.map(distanceToTarget, 0, this.arriveRadius, 0, this.maxSpeed));
+  } else {
+    desiredVelocity.mult(this.maxSpeed);
+  }
+
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Returns where a target will be if it keeps its velocity for as many
+ * steps as it would take this object to reach it at maximum speed.
+ *
+ * @param {Object} target The object to predict.
+ * @returns {Object} A vector.
+ */
+Agent.prototype.predictLocation = function(target) {
+
+  'use strict';
+
+  var steps = this.maxSpeed ? exports.Vector.VectorSub(target.location, this.location).mag() / this.maxSpeed : 0,
+    prediction = new exports.Vector(target.location.x, target.location.y);
+
+  if (target.velocity) {
+    prediction.add(exports.Vector.VectorMult(target.velocity, steps));
+  }
+  return prediction;
+};
+
+/**
+ * Calculates a steering force to apply to an object pursuing another object.
+ * Seeks the target's predicted location.
+ *
+ * @param {Object} target The object to pursue.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.pursue = function(target) {
+
+  'use strict';
+
+  return this.seek({
+    location: this.predictLocation(target)
+  });
+};
+
+/**
+ * Calculates a steering force to apply to an object evading another object.
+ * Flees the target's predicted location.
+ *
+ * @param {Object} target The object to evade.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.evade = function(target) {
+
+  'use strict';
+
+  return this.flee({
+    location: this.predictLocation(target)
+  });
+};
+
+/**
+ * Calculates a steering force to apply to a wandering object. Each step,
+ * moves a point a random amount around a circle projected in front of
+ * the object and steers toward it.
+ *
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.getWanderForce = function() {
+
+  'use strict';
+
+  var heading = this.velocity.mag() ? Math.atan2(this.velocity.y, this.velocity.x) :
+      exports.Utils.degreesToRadians(this.angle),
+    theta, desiredVelocity;
+
+  this.wanderAngle += (exports.Utils.random() * 2 - 1) * this.wanderChange;
+  theta = heading + exports.Utils.degreesToRadians(this.wanderAngle);
+
+  desiredVelocity = new exports.Vector(
+    Math.cos(heading) * this.wanderDistance + Math.cos(theta) * this.wanderRadius,
+    Math.sin(heading) * this.wanderDistance + Math.sin(theta) * this.wanderRadius
+  );
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Calculates a steering force from the object's wiring. Each motor's speed
+ * is the motorBias plus the sum of its connected sensors' intensities times
+ * their weights, scaled by maxSpeed. The object moves at the average motor
+ * speed and turns toward the slower motor.
+ *
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.getWiringForce = function() {
+
+  'use strict';
+
+  var i, max, connection, sensor, motor, value,
+    left = this.motorBias, right = this.motorBias,
+    heading, speed, desiredVelocity;
+
+  for (i = 0, max = this.wiring.length; i < max; i += 1) {
+    connection = this.wiring[i];
+    sensor = connection.sensor;
+    motor = connection.motor;
+    if (!motor) { // use the sensor's side
+      motor = sensor.offsetAngle < 0 ? 'left' : sensor.offsetAngle > 0 ? 'right' : 'both';
+      if (connection.crossed && motor !== 'both') {
+        motor = motor === 'left' ? 'right' : 'left';
+      }
+    }
+    value = sensor.intensity * (typeof connection.weight === 'number' ? connection.weight : 1);
+    if (motor !== 'right') {
+      left += value;
+    }
+    if (motor !== 'left') {
+      right += value;
+    }
+  }
+
+  // motors do not run backward
+  this.leftMotorSpeed = exports.Utils.constrain(left, 0, 1) * this.maxSpeed;
+  this.rightMotorSpeed = exports.Utils.constrain(right, 0, 1) * this.maxSpeed;
+
+  heading = this.velocity.mag() > 0.1 ? Math.atan2(this.velocity.y, this.velocity.x) :
+      exports.Utils.degreesToRadians(this.angle);
+  if (this.wheelBase) {
+    heading += (this.leftMotorSpeed - this.rightMotorSpeed) / this.wheelBase;
+  }
+  speed = (this.leftMotorSpeed + this.rightMotorSpeed) / 2;
+
+  desiredVelocity = new exports.Vector(Math.cos(heading) * speed, Math.sin(heading) * speed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Returns the inputs passed to the object's controller: each sensor's
+ * intensity, the object's velocity as a share of maxSpeed and the cosine
+ * and sine of its angle.
+ *
+ * @returns {Array} A list of numbers.
+ */
+Agent.prototype.getControllerInputs = function() {
+
+  'use strict';
+
+  var i, max, theta = exports.Utils.degreesToRadians(this.angle),
+    inputs = [];
+
+  for (i = 0, max = this.sensors.length; i < max; i += 1) {
+    inputs.push(this.sensors[i].intensity);
+  }
+  inputs.push(this.velocity.x / this.maxSpeed, this.velocity.y / this.maxSpeed, Math.cos(theta), Math.sin(theta));
+
+  return inputs;
+};
+
+/**
+ * Calculates a force from the object's controller. The controller's first
+ * output steers the object to its right (positive) or left (negative); its
+ * second output pushes it forward (positive) or back (negative). Both are
+ * scaled by maxSteeringForce.
+ *
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.getControllerForce = function() {
+
+  'use strict';
+
+  var outputs = this.controller.feedForward(this.getControllerInputs()),
+    heading = this.velocity.mag() > 0.1 ? Math.atan2(this.velocity.y, this.velocity.x) :
+        exports.Utils.degreesToRadians(this.angle),
+    steering = outputs[0] * this.maxSteeringForce,
+    thrust = outputs[1] * this.maxSteeringForce;
+
+  return new exports.Vector(Math.cos(heading) * thrust - Math.sin(heading) * steering,
+      Math.sin(heading) * thrust + Math.cos(heading) * steering);
+};
+
+/**
+ * Calculates a steering force to apply to an object following a leader.
+ * Arrives at a point leaderDistance pixels behind the leader. If the object
+ * is in front of the leader or too close to it, also evades the leader.
+ *
+ * @param {Object} leader The object to follow.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.followLeader = function(leader) {
+
+  'use strict';
+
+  var speed = leader.velocity ? leader.velocity.mag() : 0,
+    direction = speed ? exports.Vector.VectorDiv(leader.velocity, speed) :
+        new exports.Vector(Math.cos(exports.Utils.degreesToRadians(leader.angle || 0)),
+            Math.sin(exports.Utils.degreesToRadians(leader.angle || 0))),
+    behind = exports.Vector.VectorSub(leader.location, exports.Vector.VectorMult(direction, this.leaderDistance)),
+    ahead = exports.Vector.VectorAdd(leader.location, exports.Vector.VectorMult(direction, this.leaderDistance)),
+    force = this.arrive({
+      location: behind
+    });
+
+  if (this.location.distance(ahead) < this.leaderSightRadius ||
+      this.location.distance(leader.location) < this.leaderSightRadius) { // get out of the leader's way
+    force.add(this.evade(leader));
+  }
+
+  return force;
+};
+
+/**
+ * Checks if a flockmate is directly ahead of the object, within queueDistance
+ * pixels and closer to its line of travel than their combined half widths.
+ * If so, brakes by removing queueBrake of the object's velocity and of the
+ * forces applied this step.
+ */
+Agent.prototype.checkQueue = function() {
+
+  'use strict';
+
+  var i, max, element, x, y, along, across,
+    speed = this.velocity.mag(),
+    neighbors;
+
+  if (!speed) {
+    return;
+  }
+
+  neighbors = this.world.spatialHash.getNeighbors(this.location, this.queueDistance);
+
+  for (i = 0, max = neighbors.length; i < max; i += 1) {
+    element = neighbors[i];
+    if (this.isFlockmate(element)) {
+      x = element.location.x - this.location.x;
+      y = element.location.y - this.location.y;
+      along = (x * this.velocity.x + y * this.velocity.y) / speed;
+      across = Math.abs(x * this.velocity.y - y * this.velocity.x) / speed;
+      if (along > 0 && along < this.queueDistance && across < (this.width + element.width) / 2) {
+        this.acceleration.mult(1 - this.queueBrake);
+        this.applyForce(exports.Vector.VectorMult(this.velocity, -this.queueBrake * this.mass));
+        return;
+      }
+    }
+  }
+};
+
+/**
+ * Calculates a steering force to apply to an object following a path.
+ * Predicts the object's location and finds the nearest point on the path.
+ * If the prediction is outside the path's radius, steers toward a point
+ * a little further along the path. Otherwise, steers in the direction of
+ * the nearest segment.
+ *
+ * @param {Object} path The Path to follow.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.getPathForce = function(path) {
+
+  'use strict';
+
+  var i, max, segment, a, b, dx, dy, lengthSq, t, x, y, distanceSq,
+    prediction = new exports.Vector(this.location.x, this.location.y),
+    nearestDistanceSq = Infinity, target = null, direction = null,
+    desiredVelocity;
+
+  if (this.velocity.mag()) {
+    prediction.add(exports.Vector.VectorMult(this.velocity, this.pathLookAhead / this.velocity.mag()));
+  }
+
+  for (i = 0, max = path.getSegmentCount(); i < max; i += 1) {
+    segment = path.getSegment(i);
+    a = segment[0];
+    b = segment[1];
+    dx = b.x - a.x;
+    dy = b.y - a.y;
+    lengthSq = dx * dx + dy * dy;
+    if (!lengthSq) {
+      continue;
+    }
+    // project the prediction onto the segment
+    t = exports.Utils.constrain(((prediction.x - a.x) * dx + (prediction.y - a.y) * dy) / lengthSq, 0, 1);
+    x = a.x + dx * t;
+    y = a.y + dy * t;
+    distanceSq = (prediction.x - x) * (prediction.x - x) + (prediction.y - y) * (prediction.y - y);
+    if (distanceSq < nearestDistanceSq) {
+      nearestDistanceSq = distanceSq;
+      target = new exports.Vector(x, y);
+      direction = new exports.Vector(dx, dy);
+    }
+  }
+
+  if (!target) {
+    return new exports.Vector();
+  }
+
+  direction.normalize();
+
+  if (nearestDistanceSq > path.radius * path.radius) { // aim a little further along the path
+    desiredVelocity = exports.Vector.VectorSub(target.add(exports.Vector.VectorMult(direction, 10)), this.location);
+    desiredVelocity.normalize();
+  } else { // inside the radius; keep moving along the path
+    desiredVelocity = direction;
+  }
+  desiredVelocity.mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
 /**
  * Calculates a steering force to apply to an object following another object.
  * Agents with flow fields will use this method to calculate a steering force.
@@ -400,6 +980,9 @@ Agent.prototype.follow = function(target) {
 
 /**
  * Bundles flocking behaviors (separate, align, cohesion) into one call.
+ *
+ * @param {array} elements An array of Flora elements; typically the
+ *    neighbors returned from the world's spatial hash.
  */
 Agent.prototype.flock = function(elements) {
 
@@ -410,6 +993,62 @@ Agent.prototype.flock = function(elements) {
   this.applyForce(this.cohesion(elements).mult(this.cohesionStrength));
 };
 
+/**
+ * Checks if an element belongs to this object's flock and is inside
+ * its field of view.
+ *
+ * @param {Object} element A Flora element.
+ * @returns {boolean} True if the object should flock with the element.
+ */
+Agent.prototype.isFlockmate = function(element) {
+
+  'use strict';
+
+  var i, max, names, classNames, heading, x, y, d,
+    flockWith = this.flockWith;
+
+  if (!element || element.id === this.id) {
+    return false;
+  }
+
+  if (!flockWith) {
+    if (this.className !== element.className) {
+      return false;
+    }
+  } else if (typeof flockWith === 'function') {
+    if (!flockWith.call(this, element)) {
+      return false;
+    }
+  } else {
+    names = typeof flockWith === 'string' ? [flockWith] : flockWith;
+    classNames = element.className.split(' ');
+    for (i = 0, max = names.length; i < max; i += 1) {
+      if (classNames.indexOf(names[i]) !== -1 || (element.tags && element.tags.indexOf(names[i]) !== -1)) {
+        break;
+      }
+    }
+    if (i === max) {
+      return false;
+    }
+  }
+
+  if (this.viewAngle >= 360) {
+    return true;
+  }
+
+  // compare the angle to the element with half the view angle
+  x = element.location.x - this.location.x;
+  y = element.location.y - this.location.y;
+  d = Math.sqrt(x * x + y * y);
+  if (!d) {
+    return true;
+  }
+  heading = this.velocity.mag() ? Math.atan2(this.velocity.y, this.velocity.x) :
+      exports.Utils.degreesToRadians(this.angle);
+  return (Math.cos(heading) * x + Math.sin(heading) * y) / d >=
+      Math.cos(exports.Utils.degreesToRadians(this.viewAngle / 2));
+};
+
 /**
  * Loops through a passed elements array and calculates a force to apply
  * to avoid all elements.
@@ -430,7 +1069,7 @@ Agent.prototype.separate = function(elements) {
 
   for (i = 0, max = elements.length; i < max; i += 1) {
     element = elements[i];
-    if (this.className === element.className && this.id !== element.id) {
+    if (this.isFlockmate(element)) {
 
       d = this.location.distance(element.location);
 
@@ -466,8 +1105,8 @@ Agent.prototype.align = function(elements) {
   'use strict';
 
   var i, max, element, d,
-    neighbordist = this.width * 2,
-    sum, count = 0, steer;
+    sum, count = 0, steer,
+    alignDistance = this.alignDistance === null ? this.width * 2 : this.alignDistance;
 
   this.alignSumForceVector.x = 0;
   this.alignSumForceVector.y = 0;
@@ -477,8 +1116,8 @@ Agent.prototype.align = function(elements) {
     element = elements[i];
     d = this.location.distance(element.location);
 
-    if ((d > 0) && (d < neighbordist)) {
-      if (this.className === element.className && this.id !== element.id) {
+    if ((d > 0) && (d < alignDistance)) {
+      if (this.isFlockmate(element)) {
         sum.add(element.velocity);
         count += 1;
       }
@@ -508,10 +1147,9 @@ Agent.prototype.cohesion = function(elements) {
   'use strict';
 
   var i, max, element, d,
-    neighbordist = 10,
     sum, count = 0, desiredVelocity, steer;
 
-  this.cohesionSumForceVector.y = 0;
+  this.cohesionSumForceVector.x = 0;
   this.cohesionSumForceVector.y = 0;
   sum = this.cohesionSumForceVector;
 
@@ -519,8 +1157,8 @@ Agent.prototype.cohesion = function(elements) {
     element = elements[i];
     d = this.location.distance(element.location);
 
-    if ((d > 0) && (d < neighbordist)) {
-      if (this.className === element.className && this.id !== element.id) {
+    if ((d > 0) && (d < this.cohesionDistance)) {
+      if (this.isFlockmate(element)) {
         sum.add(element.location);
         count += 1;
       }
@@ -654,6 +1292,86 @@ Agent.prototype.checkAvoidEdges = function() {
   }
 };
 
+/**
+ * Calculates a steering force to apply to an object avoiding obstacles.
+ * Projects a feeler avoidObstaclesDistance pixels in front of the object
+ * and finds the nearest Obstacle it touches. Steers away from the
+ * obstacle's surface closest to the feeler.
+ *
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.getAvoidObstaclesForce = function() {
+
+  'use strict';
+
+  var i, max, obstacle, t, x, y, closestX, closestY, awayX, awayY, distanceSq, halfWidth, halfHeight,
+    speed = this.velocity.mag(), radius = Math.max(this.width, this.height) / 2,
+    feelerX, feelerY, nearestDistanceSq = Infinity, away = null, desiredVelocity;
+
+  if (!speed || !this.avoidObstaclesDistance) {
+    return new exports.Vector();
+  }
+
+  feelerX = this.velocity.x / speed * this.avoidObstaclesDistance;
+  feelerY = this.velocity.y / speed * this.avoidObstaclesDistance;
+
+  for (i = 0, max = exports.obstacles.length; i < max; i += 1) {
+
+    obstacle = exports.obstacles[i];
+    if (obstacle === this || obstacle.world !== this.world) {
+      continue;
+    }
+
+    // the point on the feeler closest to the obstacle's center
+    t = exports.Utils.constrain(((obstacle.location.x - this.location.x) * feelerX +
+        (obstacle.location.y - this.location.y) * feelerY) / (this.avoidObstaclesDistance * this.avoidObstaclesDistance), 0, 1);
+    x = this.location.x + feelerX * t;
+    y = this.location.y + feelerY * t;
+
+    // the point on the obstacle closest to the feeler
+    if (exports.Collision.getShape(obstacle) === 'circle') {
+      closestX = obstacle.location.x;
+      closestY = obstacle.location.y;
+      distanceSq = Math.max(0, Math.sqrt((x - closestX) * (x - closestX) + (y - closestY) * (y - closestY)) -
+          Math.min(obstacle.width, obstacle.height) / 2);
+      distanceSq *= distanceSq;
+    } else {
+      halfWidth = obstacle.width / 2;
+      halfHeight = obstacle.height / 2;
+      closestX = exports.Utils.constrain(x, obstacle.location.x - halfWidth, obstacle.location.x + halfWidth);
+      closestY = exports.Utils.constrain(y, obstacle.location.y - halfHeight, obstacle.location.y + halfHeight);
+      if (closestX === x && closestY === y) { // the feeler is inside the rect; steer away from its center
+        closestX = obstacle.location.x;
+        closestY = obstacle.location.y;
+        distanceSq = 0;
+      } else {
+        distanceSq = (x - closestX) * (x - closestX) + (y - closestY) * (y - closestY);
+      }
+    }
+
+    if (distanceSq < radius * radius && distanceSq < nearestDistanceSq) {
+      nearestDistanceSq = distanceSq;
+      awayX = x - closestX;
+      awayY = y - closestY;
+      if (!awayX && !awayY) { // heading straight for the center; turn right
+        awayX = -feelerY;
+        awayY = feelerX;
+      }
+      away = new exports.Vector(awayX, awayY);
+    }
+  }
+
+  if (!away) {
+    return new exports.Vector();
+  }
+
+  desiredVelocity = away.normalize().mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
 /**
  * Determines if this object is outside the world bounds.
  *
@@ -761,8 +1479,8 @@ Agent.prototype.checkCameraEdges = function() {
 
   'use strict';
 
-  this.checkCameraEdgesVector.x = this.velocity.x;
-  this.checkCameraEdgesVector.y = this.velocity.y;
+  this.checkCameraEdgesVector.x = this.velocity.x * exports.universe.dt;
+  this.checkCameraEdgesVector.y = this.velocity.y * exports.universe.dt;
 
   this.world.location.add(this.checkCameraEdgesVector.mult(-1));
 };
@@ -807,4 +1525,11 @@ Agent.prototype.getVelocity = function (type) {
   }
 };
 
+exports.Element.registerReference('parent');
+exports.Element.registerReference('seekTarget');
+exports.Element.registerReference('arriveTarget');
+exports.Element.registerReference('pursueTarget');
+exports.Element.registerReference('evadeTarget');
+exports.Element.registerReference('leader');
+
 exports.Agent = Agent;
@@ -0,0 +1,250 @@
+/*global exports, document */
+/**
+ * Creates a new CanvasRenderer.
+ *
+ * The CanvasRenderer draws all elements in a World into a single <canvas>
+ * appended to the World's DOM element. Elements still carry a DOM element
+ * but it is never appended to the document. The World itself is still
+ * rendered by the DOMRenderer.
+ *
+ * Elements are drawn as rectangles; use borderRadius to draw rounded
+ * rectangles and circles. Rotation, scale, opacity, borders and colorMode
+ * are supported. Box shadows are not rendered. Elements are drawn in
+ * zIndex order, lowest first, as the DOMRenderer stacks them.
+ *
+ * Each World needs its own CanvasRenderer instance.
+ *
+ * @constructor
+ * @extends DOMRenderer
+ *
+ * @param {Object} [opt_options] Options.
+ * @param {Array} [opt_options.defaultColor = [255, 255, 255]] The fill color for elements without a color.
+ *    The DOMRenderer leaves these to the stylesheet.
+ */
+function CanvasRenderer(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  exports.DOMRenderer.call(this, options);
+
+  this.defaultColor = options.defaultColor || [255, 255, 255];
+
+  /**
+   * Holds a reference to the canvas element.
+   * @private
+   */
+  this._canvas = null;
+
+  /**
+   * Holds a reference to the canvas' 2d context.
+   * @private
+   */
+  this._context = null;
+}
+exports.Utils.extend(CanvasRenderer, exports.DOMRenderer);
+
+CanvasRenderer.prototype.name = 'CanvasRenderer';
+
+/**
+ * The canvas has no CSS stacking, so System.draw() sorts elements by zIndex.
+ * @type boolean
+ */
+CanvasRenderer.prototype.zSorted = true;
+
+/**
+ * Creates the canvas and appends it to the World's DOM element.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+CanvasRenderer.prototype.init = function(world) {
+
+  'use strict';
+
+  this._canvas = document.createElement('canvas');
+  this._canvas.className = 'floraCanvas';
+  this._canvas.style.position = 'absolute';
+  this._canvas.style.left = 0;
+  this._canvas.style.top = 0;
+  this._canvas.width = world.width;
+  this._canvas.height = world.height;
+  world.el.appendChild(this._canvas);
+
+  this._context = this._canvas.getContext('2d');
+};
+
+/**
+ * Elements are drawn to the canvas; their DOM elements are not appended.
+ *
+ * @param {Object} obj A Flora element.
+ */
+CanvasRenderer.prototype.addElement = function(obj) {};
+
+/**
+ * Elements are drawn to the canvas; their DOM elements are not appended.
+ *
+ * @param {Object} obj A Flora element.
+ */
+CanvasRenderer.prototype.removeElement = function(obj) {};
+
+/**
+ * Matches the canvas size to the World and clears the canvas.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+CanvasRenderer.prototype.beginFrame = function(world) {
+
+  'use strict';
+
+  if (this._canvas.width !== world.width || this._canvas.height !== world.height) {
+    this._canvas.width = world.width;
+    this._canvas.height = world.height;
+  }
+  this._context.clearRect(0, 0, this._canvas.width, this._canvas.height);
+};
+
+/**
+ * Draws an element to the canvas.
+ *
+ * @param {Object} obj A Flora element.
+ */
+CanvasRenderer.prototype.drawElement = function(obj) {
+
+  'use strict';
+
+  var ctx = this._context,
+      width = obj.width,
+      height = obj.height,
+      borderWidth = obj.borderWidth || 0,
+      radius;
+
+  if (typeof width !== 'number' || typeof height !== 'number' || (!width && !height)) {
+    return;
+  }
+
+  ctx.save();
+
+  ctx.globalAlpha = obj.opacity;
+  ctx.translate(obj.location.x, obj.location.y);
+  ctx.rotate(exports.Utils.degreesToRadians(obj.angle));
+  ctx.scale(obj.scale, obj.scale);
+
+  radius = CanvasRenderer.getRadius(obj.borderRadius, width, height);
+
+  // fill
+  if (obj.color !== 'transparent') {
+    CanvasRenderer.tracePath(ctx, -width/2, -height/2, width, height, radius);
+    ctx.fillStyle = CanvasRenderer.getColorString(obj.colorMode, obj.color || this.defaultColor);
+    ctx.fill();
+  }
+
+  // border; like the stylesheet's box-sizing: border-box, the border is drawn inside the element
+  if (borderWidth && obj.borderStyle && obj.borderStyle !== 'none' && obj.borderStyle !== 'hidden') {
+    CanvasRenderer.tracePath(ctx, -width/2 + borderWidth/2, -height/2 + borderWidth/2,
+        width - borderWidth, height - borderWidth, Math.max(radius - borderWidth/2, 0));
+    if (ctx.setLineDash) {
+      if (obj.borderStyle === 'dotted') {
+        ctx.setLineDash([borderWidth, borderWidth]);
+      } else if (obj.borderStyle === 'dashed') {
+        ctx.setLineDash([borderWidth * 3, borderWidth]);
+      } else {
+        ctx.setLineDash([]);
+      }
+    }
+    ctx.lineWidth = borderWidth;
+    ctx.strokeStyle = CanvasRenderer.getColorString(obj.colorMode, obj.borderColor || this.defaultColor);
+    ctx.stroke();
+  }
+
+  ctx.restore();
+};
+
+/**
+ * Removes the canvas from the World's DOM element.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+CanvasRenderer.prototype.destroy = function(world) {
+
+  'use strict';
+
+  if (this._canvas && this._canvas.parentNode) {
+    this._canvas.parentNode.removeChild(this._canvas);
+  }
+  this._canvas = null;
+  this._context = null;
+};
+
+/**
+ * Converts a borderRadius to a corner radius in pixels. Percentages are relative
+ * to the element's smallest side; numbers are pixels.
+ *
+ * @param {number|string} borderRadius The element's border radius.
+ * @param {number} width The element's width.
+ * @param {number} height The element's height.
+ * @returns {number} The corner radius in pixels.
+ */
+CanvasRenderer.getRadius = function(borderRadius, width, height) {
+
+  'use strict';
+
+  var min = Math.min(width, height), radius;
+
+  if (!borderRadius) {
+    return 0;
+  }
+
+  radius = parseFloat(borderRadius);
+  if (typeof borderRadius === 'string' && borderRadius.search('%') !== -1) {
+    radius = min * radius / 100;
+  }
+  return exports.Utils.constrain(radius || 0, 0, min / 2);
+};
+
+/**
+ * Returns a color string the canvas context accepts.
+ *
+ * @param {string} colorMode The color mode.
+ * @param {Array|string} color A color expressed as an rgb or hsl value or a css color string.
+ * @returns {string} A color string.
+ */
+CanvasRenderer.getColorString = function(colorMode, color) {
+
+  'use strict';
+
+  if (exports.Interface.getDataType(color) !== 'array') {
+    return color;
+  }
+  return colorMode + '(' + color[0] + ', ' + color[1] + ', ' + color[2] + ')';
+};
+
+/**
+ * Traces a rectangle with rounded corners. A radius of half the
+ * element's size traces a circle.
+ *
+ * @param {Object} ctx A canvas 2d context.
+ * @param {number} x The left edge.
+ * @param {number} y The top edge.
+ * @param {number} width The width.
+ * @param {number} height The height.
+ * @param {number} radius The corner radius.
+ */
+CanvasRenderer.tracePath = function(ctx, x, y, width, height, radius) {
+
+  'use strict';
+
+  ctx.beginPath();
+  if (!radius) {
+    ctx.rect(x, y, width, height);
+    return;
+  }
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+exports.CanvasRenderer = CanvasRenderer;
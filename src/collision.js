@@ -0,0 +1,424 @@
+/*global exports */
+/**
+ * Detects and resolves overlaps between elements created with
+ * collidable = true. Called once per step after all elements step.
+ *
+ * Elements collide as circles or axis-aligned rectangles. Overlapping
+ * elements are pushed apart and receive an impulse based on their mass
+ * and bounciness. Static and pressed elements do not move. Both elements'
+ * onCollision(other) callbacks are called for each overlap.
+ *
+ * Use collisionGroup and collisionMask to control which elements interact.
+ * Two elements collide if each one's group is in the other's mask.
+ *
+ * Obstacles collide with every moving element in their world, collidable
+ * or not. Elements with a parent or without a width or height are ignored.
+ *
+ * @namespace
+ */
+var Collision = {};
+
+/**
+ * Holds a spatial hash of the collidable elements in the world being checked.
+ * @private
+ */
+Collision._hash = null;
+
+/**
+ * Used in place of a static element's velocity.
+ * @private
+ */
+Collision._zeroVector = {x: 0, y: 0};
+
+/**
+ * Checks every world for overlapping collidable elements and resolves them.
+ */
+Collision.update = function() {
+
+  'use strict';
+
+  var i, j, k, max, maxJ, maxK, element, other, contact, candidates, worldId,
+      elements = exports.elementList.all(),
+      hasObstacles = !!(exports.obstacles && exports.obstacles.length),
+      collidables = {}, worlds = exports.universe.all();
+
+  // sort collidable elements by world
+  for (i = 0, max = elements.length; i < max; i += 1) {
+    element = elements[i];
+    if (element && element.world && (element.collidable || (hasObstacles && Collision.canHitObstacles(element)))) {
+      worldId = element.world.id;
+      if (!collidables[worldId]) {
+        collidables[worldId] = [];
+      }
+      collidables[worldId].push(element);
+    }
+  }
+
+  for (i = 0, max = worlds.length; i < max; i += 1) {
+
+    elements = collidables[worlds[i].id];
+    if (!elements || elements.length < 2) {
+      continue;
+    }
+
+    if (!Collision._hash) {
+      Collision._hash = new exports.SpatialHash();
+    }
+    Collision._hash.cellSize = worlds[i].spatialHash.cellSize;
+    Collision._hash.clear();
+    for (j = 0, maxJ = elements.length; j < maxJ; j += 1) {
+      Collision._hash.insert(elements[j]);
+    }
+
+    for (j = 0, maxJ = elements.length; j < maxJ; j += 1) {
+      element = elements[j];
+      candidates = Collision._hash.getElementsInRect(element.location.x - element.width/2,
+          element.location.y - element.height/2, element.width, element.height);
+      for (k = 0, maxK = candidates.length; k < maxK; k += 1) {
+        other = candidates[k];
+        // check each pair once
+        if (element.id < other.id && Collision.shouldCollide(element, other)) {
+          contact = Collision.getContact(element, other);
+          if (contact) {
+            Collision.resolve(element, other, contact);
+            if (element.onCollision) {
+              element.onCollision.call(element, other);
+            }
+            if (other.onCollision) {
+              other.onCollision.call(other, element);
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Checks the collision group and mask of two elements.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @returns {boolean} True if the elements can collide.
+ */
+Collision.canCollide = function(a, b) {
+
+  'use strict';
+
+  return !!((a.collisionGroup & b.collisionMask) && (b.collisionGroup & a.collisionMask));
+};
+
+/**
+ * Checks if two elements should be tested for overlap. Collidable elements
+ * collide with each other. Obstacles collide with any other element
+ * except obstacles.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @returns {boolean} True if the elements should collide.
+ */
+Collision.shouldCollide = function(a, b) {
+
+  'use strict';
+
+  if (a.isObstacle || b.isObstacle) {
+    return !(a.isObstacle && b.isObstacle) && Collision.canCollide(a, b);
+  }
+  return !!(a.collidable && b.collidable) && Collision.canCollide(a, b);
+};
+
+/**
+ * Checks if an element takes part in obstacle collisions. Obstacles do.
+ * Static elements, elements with a parent and elements without a width
+ * or height do not.
+ *
+ * @param {Object} obj A Flora element.
+ * @returns {boolean} True if the element can hit obstacles.
+ */
+Collision.canHitObstacles = function(obj) {
+
+  'use strict';
+
+  return !!(obj.isObstacle || (!obj.isStatic && !obj.parent && obj.width && obj.height));
+};
+
+/**
+ * Returns an element's collision shape. If collisionShape is not set,
+ * elements with a borderRadius of at least 50% are circles.
+ *
+ * @param {Object} obj A Flora element.
+ * @returns {string} 'circle' or 'rect'.
+ */
+Collision.getShape = function(obj) {
+
+  'use strict';
+
+  if (obj.collisionShape) {
+    return obj.collisionShape;
+  }
+  if (typeof obj.borderRadius === 'string' && obj.borderRadius.search('%') !== -1 &&
+      parseFloat(obj.borderRadius) >= 50) {
+    return 'circle';
+  }
+  return 'rect';
+};
+
+/**
+ * Checks if two elements overlap. Circles use the largest circle that
+ * fits inside the element.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @returns {Object|null} If the elements overlap, an object with the unit 'normal' pointing
+ *    from a to b and the penetration 'depth'. Otherwise null.
+ */
+Collision.getContact = function(a, b) {
+
+  'use strict';
+
+  var contact, shapeA = Collision.getShape(a), shapeB = Collision.getShape(b);
+
+  if (shapeA === 'circle' && shapeB === 'circle') {
+    return Collision.getCircleContact(a, b);
+  }
+  if (shapeA === 'circle') {
+    contact = Collision.getCircleRectContact(b, a);
+    if (contact) {
+      contact.normal.mult(-1); // point from the circle to the rect
+    }
+    return contact;
+  }
+  if (shapeB === 'circle') {
+    return Collision.getCircleRectContact(a, b);
+  }
+  return Collision.getRectContact(a, b);
+};
+
+/**
+ * Checks if two circles overlap.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @returns {Object|null} A contact or null.
+ */
+Collision.getCircleContact = function(a, b) {
+
+  'use strict';
+
+  var normal = exports.Vector.VectorSub(b.location, a.location),
+      distance = normal.mag(),
+      depth = Math.min(a.width, a.height)/2 + Math.min(b.width, b.height)/2 - distance;
+
+  if (depth <= 0) {
+    return null;
+  }
+  if (distance) {
+    normal.div(distance);
+  } else { // same location; push apart along x
+    normal.x = 1;
+    normal.y = 0;
+  }
+  return {
+    normal: normal,
+    depth: depth
+  };
+};
+
+/**
+ * Checks if two rectangles overlap. Elements are pushed apart along
+ * the axis with the least overlap.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @returns {Object|null} A contact or null.
+ */
+Collision.getRectContact = function(a, b) {
+
+  'use strict';
+
+  var x = b.location.x - a.location.x,
+      y = b.location.y - a.location.y,
+      overlapX = (a.width + b.width)/2 - Math.abs(x),
+      overlapY = (a.height + b.height)/2 - Math.abs(y);
+
+  if (overlapX <= 0 || overlapY <= 0) {
+    return null;
+  }
+  if (overlapX < overlapY) {
+    return {
+      normal: new exports.Vector(x < 0 ? -1 : 1, 0),
+      depth: overlapX
+    };
+  }
+  return {
+    normal: new exports.Vector(0, y < 0 ? -1 : 1),
+    depth: overlapY
+  };
+};
+
+/**
+ * Checks if a circle overlaps a rectangle.
+ *
+ * @param {Object} rect A Flora element.
+ * @param {Object} circle A Flora element.
+ * @returns {Object|null} A contact with a normal pointing from the rect to the circle or null.
+ */
+Collision.getCircleRectContact = function(rect, circle) {
+
+  'use strict';
+
+  var radius = Math.min(circle.width, circle.height)/2,
+      halfWidth = rect.width/2, halfHeight = rect.height/2,
+      x = circle.location.x - rect.location.x,
+      y = circle.location.y - rect.location.y,
+      closest = new exports.Vector(exports.Utils.constrain(x, -halfWidth, halfWidth),
+          exports.Utils.constrain(y, -halfHeight, halfHeight)),
+      normal, distance;
+
+  if (closest.x === x && closest.y === y) { // circle's center is inside the rect; push out the nearest side
+    if (halfWidth - Math.abs(x) < halfHeight - Math.abs(y)) {
+      return {
+        normal: new exports.Vector(x < 0 ? -1 : 1, 0),
+        depth: halfWidth - Math.abs(x) + radius
+      };
+    }
+    return {
+      normal: new exports.Vector(0, y < 0 ? -1 : 1),
+      depth: halfHeight - Math.abs(y) + radius
+    };
+  }
+
+  normal = new exports.Vector(x - closest.x, y - closest.y);
+  distance = normal.mag();
+  if (distance >= radius) {
+    return null;
+  }
+  return {
+    normal: normal.div(distance),
+    depth: radius - distance
+  };
+};
+
+/**
+ * Pushes two overlapping elements apart and applies an impulse
+ * based on their mass and bounciness.
+ *
+ * @param {Object} a A Flora element.
+ * @param {Object} b A Flora element.
+ * @param {Object} contact The contact returned from getContact().
+ */
+Collision.resolve = function(a, b, contact) {
+
+  'use strict';
+
+  var normal = contact.normal,
+      inverseMassA = Collision.getInverseMass(a),
+      inverseMassB = Collision.getInverseMass(b),
+      totalInverseMass = inverseMassA + inverseMassB,
+      correction, velocityA, velocityB, speed, bounciness, impulse;
+
+  if (!totalInverseMass) { // neither element can move
+    return;
+  }
+
+  // resolve penetration in proportion to each element's inverse mass
+  correction = contact.depth / totalInverseMass;
+  a.location.x -= normal.x * correction * inverseMassA;
+  a.location.y -= normal.y * correction * inverseMassA;
+  b.location.x += normal.x * correction * inverseMassB;
+  b.location.y += normal.y * correction * inverseMassB;
+
+  // static elements do not move; ignore their velocity
+  velocityA = a.isStatic ? Collision._zeroVector : a.velocity;
+  velocityB = b.isStatic ? Collision._zeroVector : b.velocity;
+
+  // do not apply an impulse if the elements are already separating
+  speed = (velocityB.x - velocityA.x) * normal.x + (velocityB.y - velocityA.y) * normal.y;
+  if (speed > 0) {
+    return;
+  }
+
+  bounciness = Math.min(a.bounciness || 0, b.bounciness || 0);
+  impulse = -(1 + bounciness) * speed / totalInverseMass;
+
+  a.velocity.x -= normal.x * impulse * inverseMassA;
+  a.velocity.y -= normal.y * impulse * inverseMassA;
+  b.velocity.x += normal.x * impulse * inverseMassB;
+  b.velocity.y += normal.y * impulse * inverseMassB;
+};
+
+/**
+ * Checks if a line segment crosses an element's collision shape.
+ *
+ * @param {Object} obj A Flora element.
+ * @param {Object} start A vector; the start of the segment.
+ * @param {Object} end A vector; the end of the segment.
+ * @returns {boolean} True if the segment crosses the element.
+ */
+Collision.intersectsSegment = function(obj, start, end) {
+
+  'use strict';
+
+  var i, d, p, min, max, t1, t2, swap, x, y, t, radius,
+      dx = end.x - start.x, dy = end.y - start.y,
+      tMin = 0, tMax = 1, slabs;
+
+  if (Collision.getShape(obj) === 'circle') { // check the point on the segment closest to the center
+    radius = Math.min(obj.width, obj.height) / 2;
+    t = dx || dy ? exports.Utils.constrain(((obj.location.x - start.x) * dx +
+        (obj.location.y - start.y) * dy) / (dx * dx + dy * dy), 0, 1) : 0;
+    x = start.x + dx * t - obj.location.x;
+    y = start.y + dy * t - obj.location.y;
+    return x * x + y * y < radius * radius;
+  }
+
+  // clip the segment to the rect's x and y extents
+  slabs = [
+    [dx, start.x, obj.location.x - obj.width / 2, obj.location.x + obj.width / 2],
+    [dy, start.y, obj.location.y - obj.height / 2, obj.location.y + obj.height / 2]
+  ];
+  for (i = 0; i < 2; i += 1) {
+    d = slabs[i][0];
+    p = slabs[i][1];
+    min = slabs[i][2];
+    max = slabs[i][3];
+    if (!d) {
+      if (p < min || p > max) {
+        return false;
+      }
+    } else {
+      t1 = (min - p) / d;
+      t2 = (max - p) / d;
+      if (t1 > t2) {
+        swap = t1;
+        t1 = t2;
+        t2 = swap;
+      }
+      tMin = Math.max(tMin, t1);
+      tMax = Math.min(tMax, t2);
+      if (tMin > tMax) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * Returns the inverse of an element's mass. Static, pressed and
+ * massless elements return 0 and are not moved by collisions.
+ *
+ * @param {Object} obj A Flora element.
+ * @returns {number} The inverse mass.
+ */
+Collision.getInverseMass = function(obj) {
+
+  'use strict';
+
+  if (obj.isStatic || obj.isPressed || !obj.mass) {
+    return 0;
+  }
+  return 1 / obj.mass;
+};
+
+exports.Collision = Collision;
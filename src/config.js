@@ -42,6 +42,9 @@ var config = {
     pause: 80,
     reset: 82,
     stats: 83,
+    stepForward: 78,
+    speedUp: 85,
+    speedDown: 68,
     thrustLeft: 37,
     thrustUp: 38,
     thrustRight: 39,
@@ -50,4 +50,8 @@ Connector.prototype.step = function() {
   this.angle = exports.Utils.radiansToDegrees(Math.atan2(b.y - a.y, b.x - a.x) );
 };
 
+// destroyed with either parent
+exports.Element.registerReference('parentA', {destroy: true});
+exports.Element.registerReference('parentB', {destroy: true});
+
 exports.Connector = Connector;
\ No newline at end of file
@@ -0,0 +1,75 @@
+/*global exports */
+/**
+ * Creates a new DistanceConstraint.
+ *
+ * A DistanceConstraint is a rigid Spring. It applies the same Hooke's law
+ * force to both parents, then moves them back to exactly its length apart
+ * and removes the speed they were moving apart or together. Heavier
+ * parents move less. Use DistanceConstraints for chains and rigid limbs.
+ *
+ * @constructor
+ * @extends Spring
+ * @param {Object} parentA The object at one end of the constraint.
+ * @param {Object} parentB The object at the other end of the constraint.
+ * @param {Object} [opt_options] Options. See Spring.
+ * @param {number} [opt_options.stiffness = 1] The force applied per pixel the parents drift from the rest length.
+ * @param {number} [opt_options.damping = 0.5] The force applied per unit of speed the parents move apart or together.
+ */
+function DistanceConstraint(parentA, parentB, opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  exports.Spring.call(this, parentA, parentB, options);
+
+  this.stiffness = options.stiffness === 0 ? 0 : options.stiffness || 1;
+  this.damping = options.damping === 0 ? 0 : options.damping || 0.5;
+}
+exports.Utils.extend(DistanceConstraint, exports.Spring);
+
+DistanceConstraint.prototype.name = 'DistanceConstraint';
+
+/**
+ * Called every frame, step() applies the spring force and holds
+ * the parents at the rest length.
+ */
+DistanceConstraint.prototype.step = function() {
+
+  'use strict';
+
+  var a = this.parentA, b = this.parentB,
+      inverseMassA = exports.Collision.getInverseMass(a),
+      inverseMassB = exports.Collision.getInverseMass(b),
+      totalInverseMass = inverseMassA + inverseMassB,
+      x, y, distance, correction, speed;
+
+  exports.Spring.prototype.step.call(this);
+
+  x = b.location.x - a.location.x;
+  y = b.location.y - a.location.y;
+  distance = Math.sqrt(x * x + y * y);
+
+  if (!distance || !totalInverseMass) {
+    return;
+  }
+
+  x /= distance; // the direction from parentA to parentB
+  y /= distance;
+
+  // move both parents back to the rest length
+  correction = (distance - this.restLength) / totalInverseMass;
+  a.location.x += x * correction * inverseMassA;
+  a.location.y += y * correction * inverseMassA;
+  b.location.x -= x * correction * inverseMassB;
+  b.location.y -= y * correction * inverseMassB;
+
+  // remove the speed the parents move apart or together
+  speed = ((b.velocity.x - a.velocity.x) * x + (b.velocity.y - a.velocity.y) * y) / totalInverseMass;
+  a.velocity.x += x * speed * inverseMassA;
+  a.velocity.y += y * speed * inverseMassA;
+  b.velocity.x -= x * speed * inverseMassB;
+  b.velocity.y -= y * speed * inverseMassB;
+};
+
+exports.DistanceConstraint = DistanceConstraint;
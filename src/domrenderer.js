@@ -0,0 +1,126 @@
+/*global exports */
+/**
+ * Creates a new DOMRenderer.
+ *
+ * The DOMRenderer is the default renderer. Each Flora element is represented
+ * by its own DOM element appended to its World's DOM element. Every frame,
+ * the element's properties are written to its DOM element's cssText.
+ *
+ * Renderers are assigned per World. A renderer must implement init(),
+ * addElement(), removeElement(), beginFrame(), drawWorld(), drawElement()
+ * and destroy(). A renderer that cannot stack elements by zIndex sets
+ * 'zSorted' to true to receive them in zIndex order.
+ *
+ * @constructor
+ */
+function DOMRenderer() {
+  'use strict';
+}
+
+DOMRenderer.prototype.name = 'DOMRenderer';
+
+/**
+ * Called once when a World is created.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+DOMRenderer.prototype.init = function(world) {};
+
+/**
+ * Appends an element's DOM element to its World.
+ *
+ * @param {Object} obj A Flora element.
+ */
+DOMRenderer.prototype.addElement = function(obj) {
+
+  'use strict';
+
+  obj.world.el.appendChild(obj.el);
+};
+
+/**
+ * Removes an element's DOM element from its World.
+ *
+ * @param {Object} obj A Flora element.
+ */
+DOMRenderer.prototype.removeElement = function(obj) {
+
+  'use strict';
+
+  obj.world.el.removeChild(obj.el);
+};
+
+/**
+ * Called every frame before any elements are drawn.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+DOMRenderer.prototype.beginFrame = function(world) {};
+
+/**
+ * Renders a World to the DOM.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+DOMRenderer.prototype.drawWorld = function(world) {
+
+  'use strict';
+
+  world.el.style.cssText = exports.Utils.getCSSText({
+    x: world.location.x,
+    y: world.location.y,
+    s: world.scale,
+    a: world.angle,
+    o: world.opacity,
+    w: world.width,
+    h: world.height,
+    cm: world.colorMode,
+    color: world.color,
+    z: world.zIndex,
+    borderWidth: world.borderWidth,
+    borderStyle: world.borderStyle,
+    borderColor: world.borderColor,
+    borderRadius: world.borderRadius,
+    boxShadow: world.boxShadow
+  });
+};
+
+/**
+ * Renders an element to the DOM.
+ *
+ * @param {Object} obj A Flora element.
+ */
+DOMRenderer.prototype.drawElement = function(obj) {
+
+  'use strict';
+
+  var width = typeof obj.width === 'number' ? obj.width : obj.el.offsetWidth, // !! no
+      height = typeof obj.height === 'number' ? obj.height : obj.el.offsetHeight; // !! no
+
+  obj.el.style.cssText = exports.Utils.getCSSText({
+    x: obj.location.x - width/2,
+    y: obj.location.y - height/2,
+    s: obj.scale,
+    a: obj.angle,
+    o: obj.opacity,
+    w: obj.width,
+    h: obj.height,
+    cm: obj.colorMode,
+    color: obj.color,
+    z: obj.zIndex,
+    borderWidth: obj.borderWidth,
+    borderStyle: obj.borderStyle,
+    borderColor: obj.borderColor,
+    borderRadius: obj.borderRadius,
+    boxShadow: obj.boxShadow
+  });
+};
+
+/**
+ * Called when a World is destroyed.
+ *
+ * @param {Object} world The world using this renderer.
+ */
+DOMRenderer.prototype.destroy = function(world) {};
+
+exports.DOMRenderer = DOMRenderer;
@@ -10,6 +10,7 @@
  * @param {Object|function} [opt_options.view] HTML representing the Element instance.
  * @param {string} [opt_options.className = 'agent'] The corresponding DOM element's class name.
  * @param {array} [opt_options.sensors = []] A list of sensors attached to this object.
+ * @param {array} [opt_options.tags = []] A list of strings used to group elements. See Agent.flockWith.
  * @param {boolean} [opt_options.controlCamera = false] If true, camera will follow this object.
  * @param {number} [opt_options.width = 20] Width
  * @param {number} [opt_options.height = 20] Height
@@ -29,6 +30,13 @@
  * @param {Object} [opt_options.location = The center of the world] The object's initial location.
  * @param {Object} [opt_options.acceleration = {x: 0, y: 0}] The object's initial acceleration.
  * @param {Object} [opt_options.velocity = {x: 0, y: 0}] The object's initial velocity.
+ * @param {boolean} [opt_options.collidable = false] Set to true to collide with other collidable elements. See Collision.
+ * @param {string} [opt_options.collisionShape] Collide as a 'circle' or 'rect'. If not set, elements with a
+ *    borderRadius of at least 50% are circles.
+ * @param {number} [opt_options.collisionGroup = 1] A bit flag; the group this object belongs to.
+ * @param {number} [opt_options.collisionMask = 0xFFFF] A bit mask; the groups this object collides with.
+ * @param {function} [opt_options.onCollision] Called with the other element each step the two overlap.
+ * @param {function} [opt_options.onDestroy] Called when the element is destroyed. See destroy().
  */
 function Element(opt_options) {
 
@@ -47,21 +55,18 @@ function Element(opt_options) {
 
   var options = opt_options || {},
       elements = exports.elementList.all() || [],
-      liquids = exports.liquids || [],
-      repellers = exports.repellers || [],
-      attractors = exports.attractors || [],
-      heats = exports.heats || [],
-      colds = exports.colds || [],
-      predators = exports.predators || [],
-      lights = exports.lights || [],
-      oxygen = exports.oxygen || [],
-      food = exports.food || [],
-      world, constructorName = this.name || 'anon',
+      world, stimulus, constructorName = this.name || 'anon',
       viewArgs = options.viewArgs || [];
 
   this.id = options.id || constructorName.toLowerCase() + "-" + Element._idCount; // if no id, create one
 
-  if (options.view && exports.Interface.getDataType(options.view) === "function") { // if view is supplied and is a function
+  // if a world is not passed, use the first world in the universe
+  this.world = options.world || exports.universe.first();
+  world = this.world;
+
+  if (world.isHeadless) { // headless elements carry no DOM element
+    this.el = null;
+  } else if (options.view && exports.Interface.getDataType(options.view) === "function") { // if view is supplied and is a function
     this.el = options.view.apply(this, viewArgs);
   } else if (exports.Interface.getDataType(options.view) === "object") { // if view is supplied and is an object
     this.el = options.view;
@@ -69,10 +74,6 @@ function Element(opt_options) {
     this.el = document.createElement("div");
   }
 
-  // if a world is not passed, use the first world in the universe
-  this.world = options.world || exports.universe.first();
-  world = this.world;
-
   // set render properties
   this.location = options.location || new exports.Vector(world.width/2, world.height/2);
   this.acceleration = options.acceleration || new exports.Vector();
@@ -91,6 +92,16 @@ function Element(opt_options) {
   this.borderRadius = options.borderRadius || null;
   this.boxShadow = options.boxShadow || null;
 
+  // set collision properties
+  this.collidable = !!options.collidable;
+  this.collisionShape = options.collisionShape || null;
+  this.collisionGroup = options.collisionGroup === 0 ? 0 : options.collisionGroup || 1;
+  this.collisionMask = options.collisionMask === 0 ? 0 : options.collisionMask || 0xFFFF;
+  this.onCollision = options.onCollision || undefined;
+
+  this.onDestroy = options.onDestroy || undefined;
+  this.isDestroyed = false;
+
   // Vector caches
   this.zeroForceVector = new exports.Vector(); // use when returning {x: 0, y: 0}
   this.applyForceVector = new exports.Vector(); // used in Agent.applyForce()
@@ -101,43 +112,34 @@ function Element(opt_options) {
   this.cohesionSumForceVector = new exports.Vector(); // used in Agent.cohesion()
   this.checkCameraEdgesVector = new exports.Vector(); // used in Agent.checkCameraEdges()
   this.cameraDiffVector = new exports.Vector(); // used in Agent.checkWorldEdges()
+  this.lastStepLocation = new exports.Vector(this.location.x, this.location.y); // used in draw() to interpolate
 
     // set sensors
   this.sensors = options.sensors || [];
 
+  this.tags = options.tags || [];
+
   this.className = options.className || constructorName.toLowerCase();
   this.className += ' floraElement';
 
   elements[elements.length] = this; // push new instance of Element
 
-  this.el.id = this.id;
-  this.el.className = this.sensors.length > 0 ? (this.className + ' hasSensor') : this.className;
-  this.el.style.display = 'none';
+  if (this.el) {
+    this.el.id = this.id;
+    this.el.className = this.sensors.length > 0 ? (this.className + ' hasSensor') : this.className;
+    this.el.style.display = 'none';
+  }
 
   if (world.el) {
-    world.el.appendChild(this.el); // append the view to the World
+    world.renderer.addElement(this); // append the view to the World
   }
 
   Element._idCount += 1; // increment id
 
-  if (this.className.search('liquid') !== -1) {
-    liquids.push(this); // push new instance of liquids to liquid list
-  } else if (this.className.search('repeller') !== -1) {
-    repellers.push(this); // push new instance of repeller to repeller list
-  } else if (this.className.search('attractor') !== -1) {
-    attractors.push(this); // push new instance of attractor to attractor list
-  } else if (this.className.search('heat') !== -1) {
-    heats.push(this);
-  } else if (this.className.search('cold') !== -1) {
-    colds.push(this);
-  } else if (this.className.search('predator') !== -1) {
-    predators.push(this);
-  } else if (this.className.search('light') !== -1) {
-    lights.push(this);
-  } else if (this.className.search('oxygen') !== -1) {
-    oxygen.push(this);
-  } else if (this.className.search('food') !== -1) {
-    food.push(this);
+  // if this object is a registered stimulus, push it to the stimulus' list; eg. exports.heats
+  stimulus = exports.System.getStimulusByClassName(this.className);
+  if (stimulus && exports[stimulus.list]) {
+    exports[stimulus.list].push(this);
   }
 
   // setup camera control
@@ -305,32 +307,150 @@ Element.mouseIsInsideWorld = function(world) {
 Element.prototype.step = function () {};
 
 /**
- * Renders the element to the DOM. Called every frame.
+ * Renders the element via its World's renderer. Called every frame.
+ *
+ * If the Universe interpolates, the element is drawn between its location
+ * at the last two steps. Elements that wrap world edges may appear to
+ * cross the world for one frame.
  */
 Element.prototype.draw = function() {
 
   'use strict';
 
-  var width = typeof this.width === 'number' ? this.width : this.el.offsetWidth, // !! no
-      height = typeof this.height === 'number' ? this.height : this.el.offsetHeight; // !! no
-
-  this.el.style.cssText = exports.Utils.getCSSText({
-    x: this.location.x - width/2,
-    y: this.location.y - height/2,
-    s: this.scale,
-    a: this.angle,
-    o: this.opacity,
-    w: this.width,
-    h: this.height,
-    cm: this.colorMode,
-    color: this.color,
-    z: this.zIndex,
-    borderWidth: this.borderWidth,
-    borderStyle: this.borderStyle,
-    borderColor: this.borderColor,
-    borderRadius: this.borderRadius,
-    boxShadow: this.boxShadow
-  });
+  var x, y, universe = exports.universe;
+
+  if (!universe.interpolate) {
+    this.world.renderer.drawElement(this);
+    return;
+  }
+
+  x = this.location.x;
+  y = this.location.y;
+
+  this.location.x = this.lastStepLocation.x + (x - this.lastStepLocation.x) * universe.alpha;
+  this.location.y = this.lastStepLocation.y + (y - this.lastStepLocation.y) * universe.alpha;
+  this.world.renderer.drawElement(this);
+
+  this.location.x = x;
+  this.location.y = y;
+};
+
+/**
+ * Holds the properties that refer to other elements. See Element.registerReference().
+ * @private
+ */
+Element._references = [];
+
+/**
+ * Registers a property that refers to another element. When that element
+ * is destroyed, Element.destroy() sets the property to null on every
+ * element that refers to it or, if 'destroy' is true, destroys them too.
+ * Registering a name again replaces its options.
+ *
+ * @param {string} name The property's name. eg. 'leader'
+ * @param {Object} [opt_options] Options.
+ * @param {boolean} [opt_options.destroy = false] Set to true to destroy elements that refer to the destroyed element.
+ * @param {Function} [opt_options.onClear = null] Called with each element after its property is set to null.
+ * @example
+ * Flora.Element.registerReference('prey', {
+ *   onClear: function(element) {
+ *     element.isHunting = false;
+ *   }
+ * });
+ */
+Element.registerReference = function(name, opt_options) {
+
+  'use strict';
+
+  var i, max, options = opt_options || {},
+      reference = {
+        name: name,
+        destroy: !!options.destroy,
+        onClear: options.onClear || null
+      };
+
+  if (!name) {
+    throw new Error('Element.registerReference: a name is required.');
+  }
+
+  for (i = 0, max = Element._references.length; i < max; i += 1) {
+    if (Element._references[i].name === name) {
+      Element._references[i] = reference;
+      return;
+    }
+  }
+  Element._references.push(reference);
+};
+
+/**
+ * Removes the element from the System. The element is removed from its
+ * World, the element list and any stimulus lists; eg. exports.food. Its
+ * sensors are also destroyed. Elements referring to it via a registered
+ * property let go of it or, like Connectors and Springs, are destroyed.
+ * See Element.registerReference().
+ *
+ * Calls onDestroy() before removing the element.
+ */
+Element.prototype.destroy = function() {
+
+  'use strict';
+
+  var i, max, j, maxJ, list, element, reference, stimuli = exports.System.getStimuli(),
+      elements = exports.elementList.all(), attached = [];
+
+  if (this.isDestroyed) {
+    return;
+  }
+  this.isDestroyed = true;
+
+  if (this.onDestroy) {
+    this.onDestroy.apply(this);
+  }
+
+  clearInterval(this.mouseOutInterval);
+
+  for (i = 0, max = stimuli.length; i < max; i += 1) {
+    list = exports[stimuli[i].list];
+    if (list && list.indexOf(this) !== -1) {
+      list.splice(list.indexOf(this), 1);
+    }
+  }
+
+  for (i = 0, max = elements.length; i < max; i += 1) {
+    element = elements[i];
+    for (j = 0, maxJ = Element._references.length; j < maxJ; j += 1) {
+      reference = Element._references[j];
+      if (element[reference.name] === this) {
+        if (reference.destroy) {
+          attached.push(element);
+        } else {
+          element[reference.name] = null;
+          if (reference.onClear) {
+            reference.onClear(element);
+          }
+        }
+      }
+    }
+  }
+
+  if (this.sensors) {
+    attached = attached.concat(this.sensors);
+  }
+
+  if (exports.camera && exports.camera.controlObj === this) {
+    exports.camera.controlObj = null;
+  }
+
+  if (this.world) {
+    this.world.renderer.removeElement(this);
+  }
+  exports.elementList.remove(this);
+
+  for (i = 0, max = attached.length; i < max; i += 1) {
+    if (attached[i].destroy) {
+      attached[i].destroy();
+    }
+  }
 };
 
 exports.Element = Element;
\ No newline at end of file
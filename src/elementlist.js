@@ -71,6 +71,35 @@ ElementList.prototype.getAllByName = function(name) {
   return arr;
 };
 
+/**
+ * Returns the number of elements with a class name or tag. Use to count
+ * populations; eg. the number of prey and predators in a World.
+ *
+ * @param {string} name A class name or tag.
+ * @param {Object} [opt_world] If passed, only counts elements in this World.
+ * @returns {number} The number of elements.
+ * @example
+ * exports.elementList.getPopulation('predator'); // -> 3
+ */
+ElementList.prototype.getPopulation = function(name, opt_world) {
+
+  'use strict';
+
+  var i, max, record, count = 0;
+
+  for (i = 0, max = this._records.length; i < max; i++) {
+    record = this._records[i];
+    if (record.isDestroyed || (opt_world && record.world !== opt_world)) {
+      continue;
+    }
+    if ((record.className && record.className.split(' ').indexOf(name) !== -1) ||
+        (record.tags && record.tags.indexOf(name) !== -1)) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
 /**
  * Returns an array of elements with an attribute that matches the
  * passed 'attr'. If 'opt_val' is passed, 'attr' must equal 'val'.
@@ -144,49 +173,61 @@ ElementList.prototype.getElement = function (id) {
 };
 
 /**
- * Finds an element by its 'id' and removes it from its
- * world as well as the records array.
+ * Removes an element from the records array. Does not remove
+ * the element from its world; use destroyElement().
  *
- * @param {string|number} id The element's id.
+ * @param {Object} obj The element.
+ * @returns {boolean} True if the element was removed.
  */
-ElementList.prototype.destroyElement = function (id) {
+ElementList.prototype.remove = function (obj) {
 
   'use strict';
 
-  var i, max, records = this._records;
+  var index = this._records.indexOf(obj);
 
-  for (i = 0, max = records.length; i < max; i += 1) {
-    if (records[i].id === id) {
-      records[i].world.el.removeChild(records[i].el);
-      records.splice(i, 1);
-      break;
-    }
+  if (index !== -1) {
+    this._records.splice(index, 1);
+    return true;
   }
+  return false;
 };
 
 /**
- * Removes all elements from their world and resets
- * the 'records' array.
+ * Finds an element by its 'id' and destroys it. See Element.destroy().
  *
  * @param {string|number} id The element's id.
  */
+ElementList.prototype.destroyElement = function (id) {
+
+  'use strict';
+
+  var obj = this.getElement(id);
+
+  if (obj) {
+    obj.destroy();
+  }
+};
+
+/**
+ * Destroys all elements and resets the 'records' array.
+ * See Element.destroy().
+ */
 ElementList.prototype.destroyAll = function () {
 
   'use strict';
 
-  var i, records = this._records;
+  var i, records = this._records.slice(0); // destroying an element removes it from 'records'
 
   for (i = records.length - 1; i >= 0; i -= 1) {
-    if (records[i].world) {
-      records[i].world.el.removeChild(records[i].el);
+    if (records[i].destroy) {
+      records[i].destroy();
     }
   }
   this._records = [];
 };
 
 /**
- * Removes all elements from their world and resets
- * the 'records' array.
+ * Destroys all elements in a world. See Element.destroy().
  *
  * @param {World} world The world.
  */
@@ -197,9 +238,9 @@ ElementList.prototype.destroyByWorld = function (world) {
   var i, records = this._records;
 
   for (i = records.length - 1; i >= 0; i -= 1) {
-    if (records[i].world && records[i].world === world) {
-      records[i].world.el.removeChild(records[i].el);
-      records.splice(i, 1);
+    // destroying an element may destroy others; eg. its sensors
+    if (records[i] && records[i].world && records[i].world === world) {
+      records[i].destroy();
     }
   }
 };
@@ -0,0 +1,274 @@
+/*global exports */
+/**
+ * Creates a new Evolution.
+ *
+ * An Evolution manages a population of Agents created from Genomes. Each
+ * step, any living agent that meets the reproduction condition creates a
+ * child near its location. The child's genome is a mutated copy of its
+ * parent's genome or, if 'crossover' is true and another agent in the
+ * population is ready to reproduce within 'mateDistance', a mutated mix
+ * of both parents' genomes. The parent gives a share of its energy to the child.
+ *
+ * Every genome is recorded in 'lineage' with its parents, generation, genes
+ * and the clock values at which its agent was born and died. Use
+ * getAncestors() and getTraitStats() to see which traits survive.
+ *
+ * Mutation and mate selection use the evolution's own Random number generator
+ * so experiments can be repeated by passing the same seed.
+ *
+ * @constructor
+ * @extends Agent
+ * @param {Object} [opt_options] Options.
+ * @param {number} [opt_options.seed = A seed drawn from Flora.random] Seeds mutation and mate selection.
+ * @param {number} [opt_options.mutationRate = 0.1] The chance from 0 to 1 that each trait mutates in a child.
+ * @param {number} [opt_options.mutationAmount = 0.1] The largest change as a share of a numeric trait's range.
+ * @param {Function} [opt_options.canReproduce = Energy is at least reproduceEnergy] Called with each agent;
+ *    return true if the agent should reproduce.
+ * @param {number} [opt_options.reproduceEnergy = 100] The energy an agent needs to reproduce
+ *    when using the default condition.
+ * @param {number} [opt_options.reproductionCost = 0.5] The share of the parent's energy given to the child.
+ * @param {boolean} [opt_options.crossover = false] Set to true to mix genomes with a nearby mate.
+ * @param {number} [opt_options.mateDistance = 50] The farthest a mate can be from the parent.
+ * @param {number} [opt_options.maxPopulation = 100] Agents will not reproduce once the population reaches this size.
+ * @param {Function} [opt_options.onBirth = null] Called with the child and a list of its parents after a child is born.
+ * @example
+ * var evolution = new Flora.Evolution({seed: 1, crossover: true});
+ * evolution.spawn(new Flora.Genome({
+ *   genes: {maxSpeed: 5, energy: 50, consumes: ['food']},
+ *   traits: {maxSpeed: {min: 1, max: 10}}
+ * }), {location: new Flora.Vector(100, 100)});
+ */
+function Evolution(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  exports.Agent.call(this, options);
+
+  this.width = 0;
+  this.height = 0;
+  this.color = 'transparent';
+  this.isStatic = true;
+
+  // without a seed, draw one from the System's generator so a seeded Universe repeats
+  this.random = new exports.Random(typeof options.seed === 'number' ? options.seed :
+      Math.floor(exports.Utils.random() * (exports.Random.MODULUS - 1)) + 1);
+  this.mutationRate = options.mutationRate === 0 ? 0 : options.mutationRate || 0.1;
+  this.mutationAmount = options.mutationAmount === 0 ? 0 : options.mutationAmount || 0.1;
+  this.canReproduce = options.canReproduce || function(agent) {
+    return agent.energy !== null && agent.energy >= this.reproduceEnergy;
+  };
+  this.reproduceEnergy = options.reproduceEnergy === 0 ? 0 : options.reproduceEnergy || 100;
+  this.reproductionCost = options.reproductionCost === 0 ? 0 : options.reproductionCost || 0.5;
+  this.crossover = !!options.crossover;
+  this.mateDistance = options.mateDistance === 0 ? 0 : options.mateDistance || 50;
+  this.maxPopulation = options.maxPopulation || 100;
+  this.onBirth = options.onBirth || null;
+
+  /**
+   * The living agents in the population.
+   * @type Array
+   */
+  this.population = [];
+
+  /**
+   * A record of every genome in the population keyed by genome id.
+   * @type Object
+   */
+  this.lineage = {};
+}
+exports.Utils.extend(Evolution, exports.Agent);
+
+Evolution.prototype.name = 'Evolution';
+
+/**
+ * Called every frame, step() records agents that have died and
+ * reproduces agents that meet the reproduction condition.
+ */
+Evolution.prototype.step = function() {
+
+  'use strict';
+
+  var i, max, agent, living = [], ready = [];
+
+  if (this.beforeStep) {
+    this.beforeStep.apply(this);
+  }
+
+  for (i = 0, max = this.population.length; i < max; i += 1) {
+    agent = this.population[i];
+    if (agent.isDestroyed) {
+      this.lineage[agent.genome.id].died = this.world.clock;
+    } else {
+      living.push(agent);
+    }
+  }
+  this.population = living;
+
+  for (i = 0, max = living.length; i < max; i += 1) {
+    if (this.canReproduce.call(this, living[i])) {
+      ready.push(living[i]);
+    }
+  }
+
+  for (i = 0, max = ready.length; i < max && this.population.length < this.maxPopulation; i += 1) {
+    this.reproduce(ready[i], this.crossover ? this.getMate(ready[i], ready) : null);
+  }
+
+  if (this.afterStep) {
+    this.afterStep.apply(this);
+  }
+};
+
+/**
+ * Creates an agent from a genome, adds it to the population and records
+ * the genome in the lineage.
+ *
+ * @param {Object} genome A Genome.
+ * @param {Object} [opt_options] Options to pass to the Agent in addition to its genes.
+ * @returns {Object} An Agent.
+ */
+Evolution.prototype.spawn = function(genome, opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {}, agent;
+
+  options.world = options.world || this.world;
+  agent = genome.createAgent(options);
+
+  this.population.push(agent);
+  this.lineage[genome.id] = {
+    id: genome.id,
+    parentIds: genome.parentIds,
+    generation: genome.generation,
+    genes: exports.Genome.copy(genome.genes),
+    sensors: genome.sensors.slice(0),
+    born: this.world.clock,
+    died: null
+  };
+
+  return agent;
+};
+
+/**
+ * Creates a child from a parent and an optional mate. The child is
+ * placed near the parent and receives reproductionCost of the parent's energy.
+ *
+ * @param {Object} parent An Agent in the population.
+ * @param {Object} [opt_mate] Another Agent in the population.
+ * @returns {Object} The child Agent.
+ */
+Evolution.prototype.reproduce = function(parent, opt_mate) {
+
+  'use strict';
+
+  var genome, child, energy, offset, options = {};
+
+  genome = opt_mate ? exports.Genome.crossover(parent.genome, opt_mate.genome, this.random) :
+      parent.genome.clone();
+  genome.mutate(this.mutationRate, this.mutationAmount, this.random);
+
+  offset = new exports.Vector(this.random.random() * 2 - 1, this.random.random() * 2 - 1);
+  options.location = exports.Vector.VectorAdd(parent.location, offset.mult(parent.width || 1));
+
+  if (parent.energy !== null) {
+    energy = parent.energy * this.reproductionCost;
+    parent.energy -= energy;
+    options.energy = energy;
+    options.maxEnergy = parent.maxEnergy;
+  }
+
+  child = this.spawn(genome, options);
+
+  if (this.onBirth) {
+    this.onBirth.call(this, child, opt_mate ? [parent, opt_mate] : [parent]);
+  }
+
+  return child;
+};
+
+/**
+ * Picks a mate at random from the agents within mateDistance of an agent.
+ *
+ * @param {Object} agent An Agent.
+ * @param {Array} candidates A list of Agents.
+ * @returns {Object|null} An Agent or null if no candidate is close enough.
+ */
+Evolution.prototype.getMate = function(agent, candidates) {
+
+  'use strict';
+
+  var i, max, mates = [];
+
+  for (i = 0, max = candidates.length; i < max; i += 1) {
+    if (candidates[i] !== agent &&
+        exports.Vector.VectorDistance(agent.location, candidates[i].location) <= this.mateDistance) {
+      mates.push(candidates[i]);
+    }
+  }
+  return mates.length ? mates[Math.floor(this.random.random() * mates.length)] : null;
+};
+
+/**
+ * Returns the lineage records of every ancestor of an agent or genome,
+ * nearest first.
+ *
+ * @param {Object} agentOrGenome An Agent with a genome or a Genome.
+ * @returns {Array} A list of lineage records.
+ */
+Evolution.prototype.getAncestors = function(agentOrGenome) {
+
+  'use strict';
+
+  var genome = agentOrGenome.genome || agentOrGenome,
+      queue = genome.parentIds.slice(0), seen = {}, ancestors = [], id;
+
+  while (queue.length) {
+    id = queue.shift();
+    if (!seen[id] && this.lineage[id]) {
+      seen[id] = true;
+      ancestors.push(this.lineage[id]);
+      queue = queue.concat(this.lineage[id].parentIds);
+    }
+  }
+  return ancestors;
+};
+
+/**
+ * Returns the count, minimum, maximum and average of a numeric gene
+ * across the living population.
+ *
+ * @param {string} name The gene's name.
+ * @param {number} [opt_sensorIndex] If passed, reads the gene from the sensor at this index.
+ * @returns {Object} An object with count, min, max and average.
+ */
+Evolution.prototype.getTraitStats = function(name, opt_sensorIndex) {
+
+  'use strict';
+
+  var i, max, genes, value, total = 0,
+      stats = {count: 0, min: null, max: null, average: null};
+
+  for (i = 0, max = this.population.length; i < max; i += 1) {
+    if (this.population[i].isDestroyed) {
+      continue;
+    }
+    genes = typeof opt_sensorIndex === 'number' ? this.population[i].genome.sensors[opt_sensorIndex] :
+        this.population[i].genome.genes;
+    value = genes ? genes[name] : undefined;
+    if (typeof value === 'number') {
+      stats.count += 1;
+      stats.min = stats.min === null ? value : Math.min(stats.min, value);
+      stats.max = stats.max === null ? value : Math.max(stats.max, value);
+      total += value;
+    }
+  }
+  if (stats.count) {
+    stats.average = total / stats.count;
+  }
+  return stats;
+};
+
+exports.Evolution = Evolution;
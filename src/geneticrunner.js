@@ -0,0 +1,331 @@
+/*global exports */
+/**
+ * Creates a new GeneticRunner.
+ *
+ * A GeneticRunner runs a generational genetic algorithm. Each generation it
+ * resets the System via Universe.resetSystem(), creates one Agent per genome,
+ * advances the System 'steps' times without drawing and scores each Agent
+ * with a fitness function. The fittest genomes are copied to the next
+ * generation unchanged; the rest are bred from parents picked by tournament
+ * selection, then mutated.
+ *
+ * The runner is not an element; create it after calling System.start() so
+ * it survives each reset. The System's setup function runs at the start of
+ * every generation; use it to create the environment, eg. Food.
+ *
+ * @constructor
+ * @param {Object} [opt_options] Options.
+ * @param {Array} [opt_options.genomes = []] The first generation's genomes. If there are fewer genomes
+ *    than populationSize, mutated copies fill the population.
+ * @param {number} [opt_options.populationSize = The number of genomes] The number of agents per generation.
+ * @param {number} [opt_options.steps = 500] The number of steps each generation runs.
+ * @param {Function|string} [opt_options.fitness = 'distance'] A function that receives a vehicle record
+ *    and returns a score or the name of a function in GeneticRunner.fitness.
+ * @param {number} [opt_options.seed = A seed drawn from Flora.random] Seeds selection, crossover, mutation and locations.
+ * @param {number} [opt_options.mutationRate = 0.1] The chance from 0 to 1 that each trait mutates.
+ * @param {number} [opt_options.mutationAmount = 0.1] The largest change as a share of a numeric trait's range.
+ * @param {boolean} [opt_options.crossover = true] Set to false to breed by mutating a single parent.
+ * @param {number} [opt_options.eliteCount = 1] The number of fittest genomes copied to the next generation unchanged.
+ * @param {number} [opt_options.tournamentSize = 3] The number of genomes compared to pick each parent.
+ * @param {Function} [opt_options.getLocation = A random location in the world] Called with each agent's
+ *    index; returns the agent's starting location.
+ * @param {Function} [opt_options.onGeneration = null] Called with the generation's stats after it is scored.
+ * @param {Object} [opt_options.world = The first world in the universe] The world agents are created in.
+ * @example
+ * Flora.System.start(function() {
+ *   new Flora.Food({location: new Flora.Vector(320, 240)});
+ * }, {isHeadless: true}, [{width: 640, height: 480}]);
+ *
+ * var runner = new Flora.GeneticRunner({
+ *   genomes: [new Flora.Genome({
+ *     genes: {maxSpeed: 5, motorSpeed: 2},
+ *     sensors: [{type: 'food', behavior: 'AGGRESSIVE'}],
+ *     traits: {maxSpeed: {min: 1, max: 10}, behavior: {values: ['AGGRESSIVE', 'LOVES', 'EXPLORER']}}
+ *   })],
+ *   populationSize: 20,
+ *   steps: 1000,
+ *   fitness: 'distance',
+ *   seed: 1
+ * });
+ * runner.run(10);
+ * runner.history; // -> the best, worst and average fitness of each generation
+ */
+function GeneticRunner(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  this.genomes = options.genomes || [];
+  this.populationSize = options.populationSize || this.genomes.length;
+  this.steps = options.steps || 500;
+  this.fitness = options.fitness || 'distance';
+  // without a seed, draw one from the System's generator so a seeded Universe repeats
+  this.random = new exports.Random(typeof options.seed === 'number' ? options.seed :
+      Math.floor(exports.Utils.random() * (exports.Random.MODULUS - 1)) + 1);
+  this.mutationRate = options.mutationRate === 0 ? 0 : options.mutationRate || 0.1;
+  this.mutationAmount = options.mutationAmount === 0 ? 0 : options.mutationAmount || 0.1;
+  this.crossover = options.crossover === false ? false : true;
+  this.eliteCount = options.eliteCount === 0 ? 0 : options.eliteCount || 1;
+  this.tournamentSize = options.tournamentSize || 3;
+  this.getLocation = options.getLocation || null;
+  this.onGeneration = options.onGeneration || null;
+  // if a world is not passed, use the first world in the universe
+  this.world = options.world || exports.universe.first();
+
+  if (!this.genomes.length) {
+    throw new Error('GeneticRunner: at least one genome is required.');
+  }
+  if (typeof this.fitness === 'string' && !GeneticRunner.fitness[this.fitness]) {
+    throw new Error('GeneticRunner: \'' + this.fitness + '\' is not a fitness function.');
+  }
+
+  /**
+   * The number of generations run.
+   * @type number
+   */
+  this.generation = 0;
+
+  /**
+   * A record of each agent in the current generation.
+   * @type Array
+   */
+  this.vehicles = [];
+
+  /**
+   * The stats of each generation run.
+   * @type Array
+   */
+  this.history = [];
+
+  this.genomes = this._fill(this.genomes);
+}
+
+GeneticRunner.prototype.name = 'GeneticRunner';
+
+/**
+ * Fitness functions selectable by name. Each receives a vehicle record
+ * with the agent's genome, the agent, the distance it travelled and the
+ * number of steps it was alive.
+ */
+GeneticRunner.fitness = {
+  distance: function(vehicle) {
+    'use strict';
+    return vehicle.distance;
+  },
+  age: function(vehicle) {
+    'use strict';
+    return vehicle.age;
+  },
+  consumed: function(vehicle) {
+    'use strict';
+    return vehicle.agent.consumed;
+  },
+  energy: function(vehicle) {
+    'use strict';
+    return vehicle.agent.isDestroyed ? 0 : vehicle.agent.energy || 0;
+  }
+};
+
+/**
+ * Runs a number of generations.
+ *
+ * @param {number} [opt_generations = 1] The number of generations to run.
+ * @returns {Array} The stats of each generation run.
+ */
+GeneticRunner.prototype.run = function(opt_generations) {
+
+  'use strict';
+
+  var i, generations = opt_generations || 1;
+
+  for (i = 0; i < generations; i += 1) {
+    this.runGeneration();
+  }
+  return this.history;
+};
+
+/**
+ * Runs one generation. Resets the System, creates the agents, advances
+ * the System 'steps' times without drawing, scores the agents and breeds
+ * the next generation's genomes.
+ *
+ * @returns {Object} The generation's stats.
+ */
+GeneticRunner.prototype.runGeneration = function() {
+
+  'use strict';
+
+  var i, universe = exports.universe,
+      isPlaying = universe.isPlaying,
+      stats;
+
+  universe.resetSystem();
+  universe.isPlaying = isPlaying; // resetSystem() restarts a paused system
+
+  this.spawn();
+
+  for (i = 0; i < this.steps; i += 1) {
+    exports.System.tick(1);
+    this._track();
+  }
+
+  stats = this.evaluate();
+  this.history.push(stats);
+  this.generation += 1;
+
+  if (this.onGeneration) {
+    this.onGeneration.call(this, stats);
+  }
+
+  this.genomes = this.breed();
+
+  return stats;
+};
+
+/**
+ * Creates an agent from each genome.
+ *
+ * @returns {Array} A list of vehicle records.
+ */
+GeneticRunner.prototype.spawn = function() {
+
+  'use strict';
+
+  var i, max, agent, location;
+
+  this.vehicles = [];
+
+  for (i = 0, max = this.genomes.length; i < max; i += 1) {
+    location = this.getLocation ? this.getLocation.call(this, i) :
+        new exports.Vector(this.random.random() * this.world.width, this.random.random() * this.world.height);
+    agent = this.genomes[i].createAgent({
+      location: location,
+      world: this.world
+    });
+    this.vehicles.push({
+      genome: this.genomes[i],
+      agent: agent,
+      distance: 0,
+      age: 0,
+      fitness: null,
+      _lastLocation: location.clone()
+    });
+  }
+  return this.vehicles;
+};
+
+/**
+ * Adds the distance each living agent moved in the last step to its record.
+ * @private
+ */
+GeneticRunner.prototype._track = function() {
+
+  'use strict';
+
+  var i, max, vehicle;
+
+  for (i = 0, max = this.vehicles.length; i < max; i += 1) {
+    vehicle = this.vehicles[i];
+    if (!vehicle.agent.isDestroyed) {
+      vehicle.distance += exports.Vector.VectorDistance(vehicle._lastLocation, vehicle.agent.location);
+      vehicle._lastLocation.x = vehicle.agent.location.x;
+      vehicle._lastLocation.y = vehicle.agent.location.y;
+      vehicle.age += 1;
+    }
+  }
+};
+
+/**
+ * Scores each vehicle with the fitness function and sorts them from
+ * fittest to least fit.
+ *
+ * @returns {Object} The generation's stats: its number and the best, worst and
+ *    average fitness, plus the fittest genome.
+ */
+GeneticRunner.prototype.evaluate = function() {
+
+  'use strict';
+
+  var i, max, total = 0,
+      fitness = typeof this.fitness === 'string' ? GeneticRunner.fitness[this.fitness] : this.fitness;
+
+  for (i = 0, max = this.vehicles.length; i < max; i += 1) {
+    this.vehicles[i].fitness = fitness.call(this, this.vehicles[i]);
+    total += this.vehicles[i].fitness;
+  }
+
+  this.vehicles.sort(function(a, b) {
+    return b.fitness - a.fitness;
+  });
+
+  return {
+    generation: this.generation,
+    best: this.vehicles[0].fitness,
+    worst: this.vehicles[this.vehicles.length - 1].fitness,
+    average: total / this.vehicles.length,
+    bestGenome: this.vehicles[0].genome
+  };
+};
+
+/**
+ * Creates the next generation's genomes from the scored vehicles.
+ *
+ * @returns {Array} A list of genomes.
+ */
+GeneticRunner.prototype.breed = function() {
+
+  'use strict';
+
+  var i, genome, genomes = [];
+
+  for (i = 0; i < this.eliteCount && i < this.vehicles.length; i += 1) {
+    genomes.push(this.vehicles[i].genome);
+  }
+
+  while (genomes.length < this.populationSize) {
+    genome = this.crossover ? exports.Genome.crossover(this.select(), this.select(), this.random) :
+        this.select().clone();
+    genomes.push(genome.mutate(this.mutationRate, this.mutationAmount, this.random));
+  }
+  return genomes;
+};
+
+/**
+ * Picks a genome by comparing tournamentSize vehicles at random and
+ * returning the fittest one's genome.
+ *
+ * @returns {Object} A genome.
+ */
+GeneticRunner.prototype.select = function() {
+
+  'use strict';
+
+  var i, vehicle, best = null;
+
+  for (i = 0; i < this.tournamentSize; i += 1) {
+    vehicle = this.vehicles[Math.floor(this.random.random() * this.vehicles.length)];
+    if (!best || vehicle.fitness > best.fitness) {
+      best = vehicle;
+    }
+  }
+  return best.genome;
+};
+
+/**
+ * Fills a list of genomes to populationSize with mutated copies.
+ * @private
+ */
+GeneticRunner.prototype._fill = function(genomes) {
+
+  'use strict';
+
+  var i, list = genomes.slice(0, this.populationSize);
+
+  for (i = 0; list.length < this.populationSize; i += 1) {
+    list.push(genomes[i % genomes.length].clone().mutate(this.mutationRate, this.mutationAmount, this.random));
+  }
+  return list;
+};
+
+exports.GeneticRunner = GeneticRunner;
@@ -0,0 +1,246 @@
+/*global exports */
+/**
+ * Creates a new Genome.
+ *
+ * A Genome holds the options used to create an Agent and its Sensors. Genes
+ * listed in 'traits' can change when the genome is mutated or crossed with
+ * another genome; all other genes are inherited unchanged. A genome may also
+ * hold a NeuralNetwork 'controller' whose weights mutate and cross over
+ * with the genes.
+ *
+ * @constructor
+ * @param {Object} [opt_options] Options.
+ * @param {Object} [opt_options.genes = {}] Agent options. eg. {maxSpeed: 5, motorSpeed: 2}
+ * @param {Array} [opt_options.sensors = []] A list of Sensor options; one object per sensor.
+ * @param {Object} [opt_options.traits = {}] Describes how genes mutate. Numeric genes take a 'min' and 'max';
+ *    other genes take a list of 'values'. Traits apply to Agent and Sensor genes with the same name.
+ * @param {Object} [opt_options.controller = null] A NeuralNetwork passed to the Agent as its controller.
+ *    Its weights each mutate with the same chance as traits and move by up to the mutation amount.
+ * @param {string} [opt_options.constructorName = 'Agent'] The name of the constructor used by createAgent().
+ * @param {Array} [opt_options.parentIds = []] The ids of the genomes this genome was created from.
+ * @param {number} [opt_options.generation = 0] The number of generations since the first genome.
+ * @example
+ * var genome = new Flora.Genome({
+ *   genes: {maxSpeed: 5, motorSpeed: 2},
+ *   sensors: [{type: 'food', behavior: 'AGGRESSIVE', sensitivity: 2}],
+ *   traits: {
+ *     maxSpeed: {min: 1, max: 10},
+ *     sensitivity: {min: 0.5, max: 5},
+ *     behavior: {values: ['AGGRESSIVE', 'LOVES', 'EXPLORER']}
+ *   }
+ * });
+ * genome.createAgent();
+ */
+function Genome(opt_options) {
+
+  'use strict';
+
+  var i, max, options = opt_options || {};
+
+  this.id = 'genome-' + Genome._idCount;
+  Genome._idCount += 1;
+
+  this.genes = Genome.copy(options.genes || {});
+  this.sensors = [];
+  for (i = 0, max = (options.sensors || []).length; i < max; i += 1) {
+    this.sensors.push(Genome.copy(options.sensors[i]));
+  }
+  this.traits = options.traits || {};
+  this.controller = options.controller || null;
+  this.constructorName = options.constructorName || 'Agent';
+  this.parentIds = options.parentIds || [];
+  this.generation = options.generation || 0;
+}
+
+Genome.prototype.name = 'Genome';
+
+/**
+ * Increments as each Genome is created.
+ * @type number
+ * @private
+ */
+Genome._idCount = 0;
+
+/**
+ * Returns a shallow copy of a map of genes.
+ *
+ * @param {Object} genes A map of genes.
+ * @returns {Object} A new map.
+ */
+Genome.copy = function(genes) {
+
+  'use strict';
+
+  var key, copy = {};
+
+  for (key in genes) {
+    if (genes.hasOwnProperty(key)) {
+      copy[key] = genes[key];
+    }
+  }
+  return copy;
+};
+
+/**
+ * Returns a new Genome with the same genes and traits. The copy
+ * records this genome as its parent.
+ *
+ * @returns {Object} A Genome.
+ */
+Genome.prototype.clone = function() {
+
+  'use strict';
+
+  return new Genome({
+    genes: this.genes,
+    sensors: this.sensors,
+    traits: this.traits,
+    controller: this.controller ? this.controller.clone() : null,
+    constructorName: this.constructorName,
+    parentIds: [this.id],
+    generation: this.generation + 1
+  });
+};
+
+/**
+ * Mutates the genome's traits in place. Each trait changes with a chance
+ * of 'rate'. Numeric traits move by up to 'amount' of their range and
+ * stay inside it; other traits take a random value from their list.
+ *
+ * @param {number} rate The chance from 0 to 1 that each trait mutates.
+ * @param {number} amount The largest change as a share of a numeric trait's range.
+ * @param {Object} [opt_random = Flora.random] A Random number generator.
+ * @returns {Object} This genome.
+ */
+Genome.prototype.mutate = function(rate, amount, opt_random) {
+
+  'use strict';
+
+  var i, max, random = opt_random || exports.random || new exports.Random();
+
+  this._mutateGenes(this.genes, rate, amount, random);
+  for (i = 0, max = this.sensors.length; i < max; i += 1) {
+    this._mutateGenes(this.sensors[i], rate, amount, random);
+  }
+  if (this.controller) {
+    this.controller.mutate(rate, amount, random);
+  }
+  return this;
+};
+
+/**
+ * Mutates a map of genes in place.
+ * @private
+ */
+Genome.prototype._mutateGenes = function(genes, rate, amount, random) {
+
+  'use strict';
+
+  var key, trait;
+
+  for (key in genes) {
+    if (genes.hasOwnProperty(key) && this.traits.hasOwnProperty(key) && random.random() < rate) {
+      trait = this.traits[key];
+      if (trait.values) {
+        genes[key] = trait.values[Math.floor(random.random() * trait.values.length)];
+      } else if (typeof genes[key] === 'number') {
+        genes[key] = exports.Utils.constrain(genes[key] + (random.random() * 2 - 1) * amount * (trait.max - trait.min),
+            trait.min, trait.max);
+      }
+    }
+  }
+};
+
+/**
+ * Creates a new Genome that takes each gene from one of two parents at
+ * random. Sensors are paired by their position in the list; the first
+ * parent's extra sensors are kept. Controllers are crossed weight by weight.
+ *
+ * @param {Object} a A Genome.
+ * @param {Object} b A Genome.
+ * @param {Object} [opt_random = Flora.random] A Random number generator.
+ * @returns {Object} A Genome.
+ */
+Genome.crossover = function(a, b, opt_random) {
+
+  'use strict';
+
+  var i, max, random = opt_random || exports.random || new exports.Random(),
+      sensors = [], controller = null;
+
+  for (i = 0, max = a.sensors.length; i < max; i += 1) {
+    sensors.push(b.sensors[i] ? Genome._crossGenes(a.sensors[i], b.sensors[i], random) : a.sensors[i]);
+  }
+
+  if (a.controller) {
+    controller = b.controller ? exports.NeuralNetwork.crossover(a.controller, b.controller, random) :
+        a.controller.clone();
+  }
+
+  return new Genome({
+    genes: Genome._crossGenes(a.genes, b.genes, random),
+    sensors: sensors,
+    traits: a.traits,
+    controller: controller,
+    constructorName: a.constructorName,
+    parentIds: [a.id, b.id],
+    generation: Math.max(a.generation, b.generation) + 1
+  });
+};
+
+/**
+ * Returns a map of genes taken from two maps at random.
+ * @private
+ */
+Genome._crossGenes = function(a, b, random) {
+
+  'use strict';
+
+  var key, genes = {};
+
+  for (key in a) {
+    if (a.hasOwnProperty(key)) {
+      genes[key] = b.hasOwnProperty(key) && random.random() < 0.5 ? b[key] : a[key];
+    }
+  }
+  return genes;
+};
+
+/**
+ * Creates an Agent and its Sensors from the genome. The Agent's 'genome'
+ * property refers to this genome and its 'controller' to the genome's controller.
+ *
+ * @param {Object} [opt_options] Options to pass to the Agent in addition to its genes. eg. location, world
+ * @returns {Object} An Agent.
+ */
+Genome.prototype.createAgent = function(opt_options) {
+
+  'use strict';
+
+  var i, max, key, sensorOptions,
+      extra = opt_options || {},
+      options = Genome.copy(this.genes),
+      sensors = [];
+
+  for (key in extra) {
+    if (extra.hasOwnProperty(key)) {
+      options[key] = extra[key];
+    }
+  }
+
+  for (i = 0, max = this.sensors.length; i < max; i += 1) {
+    sensorOptions = Genome.copy(this.sensors[i]);
+    sensorOptions.world = options.world;
+    sensors.push(new exports.Sensor(sensorOptions));
+  }
+
+  options.sensors = sensors;
+  options.genome = this;
+  if (this.controller) {
+    options.controller = this.controller;
+  }
+
+  return new exports[this.constructorName](options);
+};
+
+exports.Genome = Genome;
@@ -0,0 +1,30 @@
+/*global exports */
+/**
+ * Creates a new HeadlessRenderer.
+ *
+ * Worlds in a headless Universe use the HeadlessRenderer. Neither the
+ * World nor its elements carry a DOM element, so there is nothing to draw.
+ *
+ * @constructor
+ */
+function HeadlessRenderer() {
+  'use strict';
+}
+
+HeadlessRenderer.prototype.name = 'HeadlessRenderer';
+
+HeadlessRenderer.prototype.init = function(world) {};
+
+HeadlessRenderer.prototype.addElement = function(obj) {};
+
+HeadlessRenderer.prototype.removeElement = function(obj) {};
+
+HeadlessRenderer.prototype.beginFrame = function(world) {};
+
+HeadlessRenderer.prototype.drawWorld = function(world) {};
+
+HeadlessRenderer.prototype.drawElement = function(obj) {};
+
+HeadlessRenderer.prototype.destroy = function(world) {};
+
+exports.HeadlessRenderer = HeadlessRenderer;
@@ -39,7 +39,10 @@ function InputMenu(opt_options) {
   } else {
     this.text = '\'' + String.fromCharCode(exports.config.keyMap.pause).toLowerCase() + '\' = pause | ' +
       '\'' + String.fromCharCode(exports.config.keyMap.reset).toLowerCase() + '\' = reset | ' +
-      '\'' + String.fromCharCode(exports.config.keyMap.stats).toLowerCase() + '\' = stats';
+      '\'' + String.fromCharCode(exports.config.keyMap.stats).toLowerCase() + '\' = stats | ' +
+      '\'' + String.fromCharCode(exports.config.keyMap.stepForward).toLowerCase() + '\' = step | ' +
+      '\'' + String.fromCharCode(exports.config.keyMap.speedUp).toLowerCase() + '\' = faster | ' +
+      '\'' + String.fromCharCode(exports.config.keyMap.speedDown).toLowerCase() + '\' = slower';
   }
 
   /**
@@ -0,0 +1,224 @@
+/*global exports */
+/**
+ * Creates a new NeuralNetwork.
+ *
+ * A small feed-forward neural network. Each neuron sums its inputs times
+ * their weights plus a bias and passes the result through an activation
+ * function. Set an Agent's 'controller' to a NeuralNetwork to steer it
+ * from its sensors. See Agent.getControllerForce().
+ *
+ * Weights are stored in a single list: for each layer after the first, for
+ * each neuron, its bias followed by the weight of each neuron in the
+ * previous layer. Use toJSON() and NeuralNetwork.fromJSON() to save and
+ * restore a network, and mutate() and NeuralNetwork.crossover() to evolve one.
+ *
+ * @constructor
+ * @param {Object} [opt_options] Options.
+ * @param {Array} [opt_options.layers = [5, 6, 2]] The number of neurons in each layer, from inputs to outputs.
+ * @param {Array} [opt_options.weights = Random weights from -1 to 1] The network's weights.
+ * @param {string} [opt_options.activation = 'tanh'] The name of a function in NeuralNetwork.activations.
+ * @param {number} [opt_options.seed] Seeds the random weights. If not passed, uses Flora.random.
+ * @example
+ * var network = new Flora.NeuralNetwork({layers: [2, 3, 1]});
+ * network.feedForward([0.5, -1]); // -> [0.24...]
+ */
+function NeuralNetwork(opt_options) {
+
+  'use strict';
+
+  var i, max, random, options = opt_options || {};
+
+  this.layers = options.layers || [5, 6, 2];
+  this.activation = options.activation || 'tanh';
+
+  if (this.layers.length < 2) {
+    throw new Error('NeuralNetwork: layers must include an input and an output layer.');
+  }
+  if (!NeuralNetwork.activations[this.activation]) {
+    throw new Error('NeuralNetwork: \'' + this.activation + '\' is not an activation function.');
+  }
+
+  if (options.weights) {
+    if (options.weights.length !== this.getWeightCount()) {
+      throw new Error('NeuralNetwork: expected ' + this.getWeightCount() + ' weights.');
+    }
+    this.weights = options.weights.slice(0);
+  } else {
+    random = typeof options.seed === 'number' ? new exports.Random(options.seed) :
+        exports.random || new exports.Random();
+    this.weights = [];
+    for (i = 0, max = this.getWeightCount(); i < max; i += 1) {
+      this.weights.push(random.random() * 2 - 1);
+    }
+  }
+}
+
+NeuralNetwork.prototype.name = 'NeuralNetwork';
+
+/**
+ * Activation functions selectable by name.
+ */
+NeuralNetwork.activations = {
+  tanh: function(x) {
+    'use strict';
+    var e = Math.exp(2 * x);
+    return isFinite(e) ? (e - 1) / (e + 1) : 1;
+  },
+  sigmoid: function(x) {
+    'use strict';
+    return 1 / (1 + Math.exp(-x));
+  },
+  relu: function(x) {
+    'use strict';
+    return x > 0 ? x : 0;
+  }
+};
+
+/**
+ * Returns the number of weights, including biases, the network's layers need.
+ *
+ * @returns {number} The number of weights.
+ */
+NeuralNetwork.prototype.getWeightCount = function() {
+
+  'use strict';
+
+  var i, max, count = 0;
+
+  for (i = 1, max = this.layers.length; i < max; i += 1) {
+    count += this.layers[i] * (this.layers[i - 1] + 1);
+  }
+  return count;
+};
+
+/**
+ * Passes a list of inputs through the network.
+ *
+ * @param {Array} inputs A list of numbers; one for each neuron in the input layer.
+ * @returns {Array} A list of outputs; one for each neuron in the output layer.
+ */
+NeuralNetwork.prototype.feedForward = function(inputs) {
+
+  'use strict';
+
+  var i, max, j, k, sum, outputs, w = 0,
+      activate = NeuralNetwork.activations[this.activation],
+      values = inputs;
+
+  if (inputs.length !== this.layers[0]) {
+    throw new Error('NeuralNetwork: expected ' + this.layers[0] + ' inputs.');
+  }
+
+  for (i = 1, max = this.layers.length; i < max; i += 1) {
+    outputs = [];
+    for (j = 0; j < this.layers[i]; j += 1) {
+      sum = this.weights[w]; // bias
+      w += 1;
+      for (k = 0; k < values.length; k += 1) {
+        sum += values[k] * this.weights[w];
+        w += 1;
+      }
+      outputs.push(activate(sum));
+    }
+    values = outputs;
+  }
+  return values;
+};
+
+/**
+ * Mutates the network's weights in place. Each weight changes with a
+ * chance of 'rate' by up to 'amount'.
+ *
+ * @param {number} rate The chance from 0 to 1 that each weight mutates.
+ * @param {number} amount The largest change.
+ * @param {Object} [opt_random = Flora.random] A Random number generator.
+ * @returns {Object} This network.
+ */
+NeuralNetwork.prototype.mutate = function(rate, amount, opt_random) {
+
+  'use strict';
+
+  var i, max, random = opt_random || exports.random || new exports.Random();
+
+  for (i = 0, max = this.weights.length; i < max; i += 1) {
+    if (random.random() < rate) {
+      this.weights[i] += (random.random() * 2 - 1) * amount;
+    }
+  }
+  return this;
+};
+
+/**
+ * Returns a new NeuralNetwork with the same layers and weights.
+ *
+ * @returns {Object} A NeuralNetwork.
+ */
+NeuralNetwork.prototype.clone = function() {
+
+  'use strict';
+
+  return new NeuralNetwork(this.toJSON());
+};
+
+/**
+ * Returns the network's layers, weights and activation as a plain object.
+ * Called by JSON.stringify().
+ *
+ * @returns {Object} An object to pass to NeuralNetwork.fromJSON().
+ */
+NeuralNetwork.prototype.toJSON = function() {
+
+  'use strict';
+
+  return {
+    layers: this.layers.slice(0),
+    weights: this.weights.slice(0),
+    activation: this.activation
+  };
+};
+
+/**
+ * Creates a NeuralNetwork from the result of toJSON() or a JSON string.
+ *
+ * @param {Object|string} data A network's layers, weights and activation.
+ * @returns {Object} A NeuralNetwork.
+ */
+NeuralNetwork.fromJSON = function(data) {
+
+  'use strict';
+
+  return new NeuralNetwork(typeof data === 'string' ? JSON.parse(data) : data);
+};
+
+/**
+ * Creates a new NeuralNetwork that takes each weight from one of two
+ * networks at random. Both networks must have the same layers.
+ *
+ * @param {Object} a A NeuralNetwork.
+ * @param {Object} b A NeuralNetwork.
+ * @param {Object} [opt_random = Flora.random] A Random number generator.
+ * @returns {Object} A NeuralNetwork.
+ */
+NeuralNetwork.crossover = function(a, b, opt_random) {
+
+  'use strict';
+
+  var i, max, random = opt_random || exports.random || new exports.Random(),
+      weights = [];
+
+  if (a.layers.join() !== b.layers.join()) {
+    throw new Error('NeuralNetwork.crossover: both networks must have the same layers.');
+  }
+
+  for (i = 0, max = a.weights.length; i < max; i += 1) {
+    weights.push(random.random() < 0.5 ? a.weights[i] : b.weights[i]);
+  }
+
+  return new NeuralNetwork({
+    layers: a.layers.slice(0),
+    weights: weights,
+    activation: a.activation
+  });
+};
+
+exports.NeuralNetwork = NeuralNetwork;
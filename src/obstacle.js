@@ -0,0 +1,53 @@
+/*global exports */
+/**
+ * Creates a new Obstacle.
+ *
+ * Obstacles are static circles or rectangles. Agents with avoidObstacles = true
+ * steer around them. All other moving elements bounce off them. See Collision.
+ *
+ * @constructor
+ * @extends Agent
+ *
+ * @param {Object} [opt_options] Options.
+ * @param {string} [opt_options.collisionShape = 'circle'] Set to 'circle' or 'rect'.
+ * @param {number} [opt_options.width = 50] Width.
+ * @param {number} [opt_options.height = 50] Height.
+ * @param {Array} [opt_options.color = [100, 100, 100]] Color.
+ * @param {string} [opt_options.borderRadius = '100%' for circles, 0 for rects] Border radius.
+ * @param {number} [opt_options.bounciness = 1] The strength of the rebound. Elements bounce off
+ *    with the lower of their own and the obstacle's bounciness.
+ * @param {boolean} [opt_options.isStatic = true] If true, object will not move.
+ * @param {number} [opt_options.opacity = 1] Opacity.
+ * @param {number} [opt_options.zIndex = 10] The object's zIndex.
+ * @example
+ * new Flora.Obstacle({
+ *   location: new Flora.Vector(200, 150),
+ *   collisionShape: 'rect',
+ *   width: 200,
+ *   height: 20
+ * });
+ */
+function Obstacle(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  exports.Agent.call(this, options);
+
+  this.isObstacle = true;
+  this.collisionShape = options.collisionShape || 'circle';
+  this.width = options.width === 0 ? 0 : options.width || 50;
+  this.height = options.height === 0 ? 0 : options.height || 50;
+  this.color = options.color || [100, 100, 100];
+  this.borderRadius = options.borderRadius || (this.collisionShape === 'circle' ? '100%' : 0);
+  this.bounciness = options.bounciness === 0 ? 0 : options.bounciness || 1;
+  this.isStatic = options.isStatic === false ? false : options.isStatic || true;
+  this.opacity = options.opacity === 0 ? 0 : options.opacity || 1;
+  this.zIndex = options.zIndex === 0 ? 0 : options.zIndex || 10;
+}
+exports.Utils.extend(Obstacle, exports.Agent);
+
+Obstacle.prototype.name = 'Obstacle';
+
+exports.Obstacle = Obstacle;
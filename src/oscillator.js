@@ -23,8 +23,8 @@
  * @param {number} [opt_options.perlinTime = 0] Sets the Perlin Noise time.
  * @param {number} [opt_options.perlinAccelLow = -0.075] The lower bound of acceleration when isPerlin = true.
  * @param {number} [opt_options.perlinAccelHigh = 0.075] The upper bound of acceleration when isPerlin = true.
- * @param {number} [opt_options.offsetX = Math.random() * 10000] The x offset in the Perlin Noise space.
- * @param {number} [opt_options.offsetY = Math.random() * 10000] The y offset in the Perlin Noise space.
+ * @param {number} [opt_options.offsetX = Utils.random() * 10000] The x offset in the Perlin Noise space.
+ * @param {number} [opt_options.offsetY = Utils.random() * 10000] The y offset in the Perlin Noise space.
  */
 function Oscillator(opt_options) {
 
@@ -49,8 +49,8 @@ function Oscillator(opt_options) {
   this.perlinTime = options.perlinTime || 0;
   this.perlinAccelLow = options.perlinAccelLow || -2;
   this.perlinAccelHigh = options.perlinAccelHigh || 2;
-  this.perlinOffsetX = options.perlinOffsetX || Math.random() * 10000;
-  this.perlinOffsetY = options.perlinOffsetY || Math.random() * 10000;
+  this.perlinOffsetX = options.perlinOffsetX || exports.Utils.random() * 10000;
+  this.perlinOffsetY = options.perlinOffsetY || exports.Utils.random() * 10000;
 }
 exports.Utils.extend(Oscillator, exports.Agent);
 
@@ -63,7 +63,7 @@ Oscillator.prototype.step = function () {
 
   'use strict';
 
-  var world = this.world, velDiff;
+  var world = this.world, velDiff, dt = exports.universe.dt;
 
   if (this.beforeStep) {
     this.beforeStep.apply(this);
@@ -72,11 +72,12 @@ Oscillator.prototype.step = function () {
   if (!this.isStatic && !this.isPressed) {
 
     if (this.isPerlin) {
-      this.perlinTime += this.perlinSpeed;
+      this.perlinTime += this.perlinSpeed * dt;
       this.aVelocity.x =  exports.Utils.map(exports.SimplexNoise.noise(this.perlinTime + this.perlinOffsetX, 0, 0.1), -1, 1, this.perlinAccelLow, this.perlinAccelHigh);
       this.aVelocity.y =  exports.Utils.map(exports.SimplexNoise.noise(0, this.perlinTime + this.perlinOffsetY, 0.1), -1, 1, this.perlinAccelLow, this.perlinAccelHigh);
     } else {
-      this.aVelocity.add(this.acceleration); // add acceleration
+      this.aVelocity.x += this.acceleration.x * dt; // add acceleration scaled by the time step
+      this.aVelocity.y += this.acceleration.y * dt;
     }
 
     this.location.x = this.initialLocation.x + Math.sin(this.aVelocity.x) * this.amplitude.x;
@@ -34,7 +34,7 @@ Particle.prototype.step = function () {
   'use strict';
 
 	var world = this.world,
-			friction;
+			friction, dt = exports.universe.dt;
 
 	//
 
@@ -66,13 +66,15 @@ Particle.prototype.step = function () {
 
 		// end -- APPLY FORCES
 
+		this.acceleration.mult(dt); // scale by the time step
 		this.velocity.add(this.acceleration); // add acceleration
 
 		if (this.maxSpeed) {
 			this.velocity.limit(this.maxSpeed); // check if velocity > maxSpeed
 		}
 
-		this.location.add(this.velocity); // add velocity
+		this.location.x += this.velocity.x * dt; // add velocity
+		this.location.y += this.velocity.y * dt;
 
 		// opacity
 		this.opacity = exports.Utils.map(this.lifespan, 0, this.maxSpeed, 0, 1);
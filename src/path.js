@@ -0,0 +1,153 @@
+/*global exports */
+/**
+ * Creates a new Path.
+ *
+ * A Path is a list of points connected by line segments with a radius.
+ * Agents with a 'followPath' steer to stay within the radius and move
+ * along the path from its first point to its last. Closed paths also
+ * connect the last point to the first.
+ *
+ * Points are vectors; move them at any time to reshape the path. Use
+ * addPoint() and removePoint() to change the number of points.
+ *
+ * @constructor
+ * @param {Object} [opt_options] Options.
+ * @param {Array} [opt_options.points = []] A list of vectors.
+ * @param {number} [opt_options.radius = 20] The distance from the path agents may wander before steering back.
+ * @param {boolean} [opt_options.isClosed = false] Set to true to connect the last point to the first.
+ * @param {boolean} [opt_options.showSegments = true] Set to true to draw each segment as a Connector.
+ * @param {Object} [opt_options.world = The first world in the universe] The world the path belongs to.
+ * @example
+ * var path = new Flora.Path({
+ *   points: [new Flora.Vector(100, 100), new Flora.Vector(300, 200), new Flora.Vector(100, 300)],
+ *   isClosed: true
+ * });
+ * new Flora.Agent({followPath: path});
+ */
+function Path(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  this.points = options.points || [];
+  this.radius = options.radius === 0 ? 0 : options.radius || 20;
+  this.isClosed = !!options.isClosed;
+  this.showSegments = options.showSegments === false ? false : true;
+  // if a world is not passed, use the first world in the universe
+  this.world = options.world || exports.universe.first();
+
+  /**
+   * Holds the Connectors drawing each segment.
+   * @private
+   */
+  this._connectors = [];
+
+  this.updateSegments();
+}
+
+Path.prototype.name = 'Path';
+
+/**
+ * Adds a point to the path.
+ *
+ * @param {Object} point A vector.
+ * @param {number} [opt_index = The end of the path] The index to insert the point at.
+ * @returns {Array} The path's points.
+ */
+Path.prototype.addPoint = function(point, opt_index) {
+
+  'use strict';
+
+  var index = typeof opt_index === 'number' ? opt_index : this.points.length;
+
+  this.points.splice(index, 0, point);
+  this.updateSegments();
+  return this.points;
+};
+
+/**
+ * Removes a point from the path.
+ *
+ * @param {number} index The index of the point to remove.
+ * @returns {Array} The path's points.
+ */
+Path.prototype.removePoint = function(index) {
+
+  'use strict';
+
+  this.points.splice(index, 1);
+  this.updateSegments();
+  return this.points;
+};
+
+/**
+ * Returns the number of segments in the path.
+ *
+ * @returns {number} The number of segments.
+ */
+Path.prototype.getSegmentCount = function() {
+
+  'use strict';
+
+  if (this.points.length < 2) {
+    return 0;
+  }
+  return this.isClosed && this.points.length > 2 ? this.points.length : this.points.length - 1;
+};
+
+/**
+ * Returns the start and end points of a segment.
+ *
+ * @param {number} index The segment's index.
+ * @returns {Array} An array with the segment's start and end vectors.
+ */
+Path.prototype.getSegment = function(index) {
+
+  'use strict';
+
+  return [this.points[index], this.points[(index + 1) % this.points.length]];
+};
+
+/**
+ * Recreates the Connectors drawing each segment. Called when points are
+ * added or removed. If showSegments is false, removes the Connectors.
+ */
+Path.prototype.updateSegments = function() {
+
+  'use strict';
+
+  var i, max, segment;
+
+  this.destroySegments();
+
+  if (!this.showSegments) {
+    return;
+  }
+
+  for (i = 0, max = this.getSegmentCount(); i < max; i += 1) {
+    segment = this.getSegment(i);
+    this._connectors.push(new exports.Connector({
+      location: segment[0]
+    }, {
+      location: segment[1]
+    }, {
+      world: this.world
+    }));
+  }
+};
+
+/**
+ * Destroys the Connectors drawing each segment.
+ */
+Path.prototype.destroySegments = function() {
+
+  'use strict';
+
+  for (var i = 0, max = this._connectors.length; i < max; i += 1) {
+    this._connectors[i].destroy();
+  }
+  this._connectors = [];
+};
+
+exports.Path = Path;
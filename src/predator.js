@@ -2,16 +2,33 @@
 /**
  * Creates a new Predator object.
  *
+ * By default, Predators are static stimuli that sensors can react to. Pass
+ * a 'prey' list to make a Predator hunt: it pursues the nearest prey within
+ * huntDistance, eats prey it touches and gains preyEnergy for each one. A
+ * hunting Predator's energy decays each step and it starves when its energy
+ * runs out. See Agent's 'energy' option.
+ *
  * @constructor
  * @extends Agent
  *
  * @param {Object} [opt_options] Options.
- * @param {number} [opt_options.mass = 50] Mass. Increase for a greater gravitational effect.
- * @param {boolean} [opt_options.isStatic = true] If true, object will not move.
+ * @param {number} [opt_options.mass = 50, or 10 if hunting] Mass. Increase for a greater gravitational effect.
+ * @param {boolean} [opt_options.isStatic = true unless hunting] If true, object will not move.
  * @param {number} [opt_options.width = 75] Width.
  * @param {number} [opt_options.height = 75] Height.
  * @param {number} [opt_options.opacity = 0.75] The particle's opacity.
  * @param {number} [opt_options.zIndex = 10] The object's zIndex.
+ * @param {Array|string} [opt_options.prey = []] The class names or tags of the elements to hunt. eg. ['agent']
+ * @param {number} [opt_options.huntDistance = 200] The farthest away prey can be and still be pursued.
+ * @param {number} [opt_options.preyEnergy = 50] The energy gained for each prey eaten.
+ * @param {number} [opt_options.energy = 100 if hunting] The object's energy.
+ * @example
+ * new Flora.Predator({
+ *   prey: ['agent'],
+ *   energy: 200,
+ *   energyDecay: 0.5,
+ *   wander: true
+ * });
  */
 function Predator(opt_options) {
 
@@ -21,15 +38,159 @@ function Predator(opt_options) {
 
   exports.Agent.call(this, options);
 
-  this.mass = options.mass === 0 ? 0 : options.mass || 50;
-  this.isStatic = options.isStatic === false ? false : options.isStatic || true;
+  this.prey = typeof options.prey === 'string' ? [options.prey] : options.prey || [];
+  this.huntDistance = options.huntDistance === 0 ? 0 : options.huntDistance || 200;
+  this.preyEnergy = options.preyEnergy === 0 ? 0 : options.preyEnergy || 50;
+  this.mass = options.mass === 0 ? 0 : options.mass || (this.prey.length ? 10 : 50);
+  this.isStatic = options.isStatic === false ? false : options.isStatic || !this.prey.length;
   this.width = options.width === 0 ? 0 : options.width || 75;
   this.height = options.height === 0 ? 0 : options.height || 75;
   this.opacity = options.opacity === 0 ? 0 : options.opacity || 0.75;
   this.zIndex = options.zIndex === 0 ? 0 : options.zIndex || 10;
+  if (this.prey.length && typeof options.energy !== 'number') {
+    this.energy = 100;
+    this.maxEnergy = options.maxEnergy || this.energy;
+  }
+
+  /**
+   * The prey the object is pursuing.
+   * @type Object
+   */
+  this.currentPrey = null;
+
+  /**
+   * The number of prey the object has eaten.
+   * @type number
+   */
+  this.eaten = 0;
 }
 exports.Utils.extend(Predator, exports.Agent);
 
 Predator.prototype.name = 'Predator';
 
-exports.Predator = Predator;
\ No newline at end of file
+/**
+ * Called every frame, step() pursues the nearest prey, updates the
+ * object's properties and eats any prey it touches.
+ */
+Predator.prototype.step = function() {
+
+  'use strict';
+
+  var hunting = this.prey.length && !this.isStatic && !this.isPressed;
+
+  if (hunting) {
+    this.currentPrey = this.getNearestPrey();
+    if (this.currentPrey) {
+      this.applyForce(this.getHuntForce(this.currentPrey));
+    }
+  }
+
+  exports.Agent.prototype.step.call(this);
+
+  if (hunting && !this.isDestroyed) {
+    this.eatPrey();
+  }
+};
+
+/**
+ * Checks if an element is prey. Matches the element's class names and tags
+ * against the object's 'prey' list.
+ *
+ * @param {Object} element An element.
+ * @returns {boolean} True if the element is prey.
+ */
+Predator.prototype.isPrey = function(element) {
+
+  'use strict';
+
+  var i, max, classNames;
+
+  if (!element || element === this || element.isDestroyed || !element.className) {
+    return false;
+  }
+
+  classNames = element.className.split(' ');
+  for (i = 0, max = this.prey.length; i < max; i += 1) {
+    if (classNames.indexOf(this.prey[i]) !== -1 || (element.tags && element.tags.indexOf(this.prey[i]) !== -1)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Returns the nearest prey within huntDistance.
+ *
+ * @returns {Object|null} An element or null if no prey is in range.
+ */
+Predator.prototype.getNearestPrey = function() {
+
+  'use strict';
+
+  var i, max, d, nearest = null, min = this.huntDistance,
+    candidates = this.world.spatialHash.getElementsInRect(this.location.x - this.huntDistance,
+        this.location.y - this.huntDistance, this.huntDistance * 2, this.huntDistance * 2);
+
+  for (i = 0, max = candidates.length; i < max; i += 1) {
+    if (this.isPrey(candidates[i])) {
+      d = exports.Vector.VectorDistance(this.location, candidates[i].location);
+      if (d <= min) {
+        min = d;
+        nearest = candidates[i];
+      }
+    }
+  }
+  return nearest;
+};
+
+/**
+ * Calculates a steering force toward a prey's predicted location. Unlike
+ * pursue(), does not slow down near the prey.
+ *
+ * @param {Object} prey The element to hunt.
+ * @returns {Object} The force to apply.
+ */
+Predator.prototype.getHuntForce = function(prey) {
+
+  'use strict';
+
+  var desiredVelocity = exports.Vector.VectorSub(this.predictLocation(prey), this.location);
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Destroys the prey the object overlaps and gains preyEnergy for each,
+ * up to maxEnergy.
+ *
+ * @returns {number} The number of prey eaten.
+ */
+Predator.prototype.eatPrey = function() {
+
+  'use strict';
+
+  var i, max, count = 0,
+    candidates = this.world.spatialHash.getElementsInRect(this.location.x - this.width/2,
+        this.location.y - this.height/2, this.width, this.height);
+
+  for (i = 0, max = candidates.length; i < max; i += 1) {
+    if (this.isPrey(candidates[i]) && exports.Collision.getContact(this, candidates[i])) {
+      candidates[i].destroy();
+      count += 1;
+      if (this.energy !== null) {
+        this.energy = Math.min(this.energy + this.preyEnergy, this.maxEnergy);
+      }
+    }
+  }
+  this.eaten += count;
+  return count;
+};
+
+exports.Element.registerReference('currentPrey');
+
+exports.Predator = Predator;
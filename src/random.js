@@ -0,0 +1,83 @@
+/*global exports */
+/**
+ * Creates a new Random number generator.
+ *
+ * A seedable pseudo-random number generator (Park-Miller). Generators
+ * created with the same seed return the same sequence of numbers.
+ * System.start() creates the generator used by the library from the
+ * Universe's 'seed' option.
+ *
+ * @constructor
+ * @param {number} [opt_seed] A seed. If no seed is passed, one is created via Math.random().
+ * @example
+ * var r = new Flora.Random(42);
+ * r.random(); // -> the same number every time
+ */
+function Random(opt_seed) {
+
+  'use strict';
+
+  /**
+   * The generator's current state.
+   * @private
+   */
+  this._state = 1;
+
+  this.seed(opt_seed);
+}
+
+Random.prototype.name = 'Random';
+
+/**
+ * The modulus of the generator; a Mersenne prime.
+ * @type number
+ */
+Random.MODULUS = 2147483647;
+
+/**
+ * The multiplier of the generator.
+ * @type number
+ */
+Random.MULTIPLIER = 16807;
+
+/**
+ * Resets the generator with a new seed.
+ *
+ * @param {number} [opt_seed] A seed. If no seed is passed, one is created via Math.random().
+ * @returns {number} The seed.
+ */
+Random.prototype.seed = function(opt_seed) {
+
+  'use strict';
+
+  var seed = typeof opt_seed === 'number' ? opt_seed :
+      Math.floor(Math.random() * (Random.MODULUS - 1)) + 1;
+
+  /**
+   * The seed the generator was last reset with. Pass it to a new
+   * generator to repeat the same sequence.
+   */
+  this.initialSeed = seed;
+
+  this._state = Math.abs(Math.floor(seed)) % Random.MODULUS;
+  if (this._state === 0) { // zero would only ever return zero
+    this._state = Random.MODULUS - 1;
+  }
+  return seed;
+};
+
+/**
+ * Returns a pseudo-random number greater than or equal to 0 and less than 1.
+ * Use in place of Math.random().
+ *
+ * @returns {number} A number.
+ */
+Random.prototype.random = function() {
+
+  'use strict';
+
+  this._state = (this._state * Random.MULTIPLIER) % Random.MODULUS;
+  return (this._state - 1) / (Random.MODULUS - 1);
+};
+
+exports.Random = Random;
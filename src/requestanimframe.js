@@ -1,19 +1,21 @@
 /*global window */
-/**
- * RequestAnimationFrame shim layer with setTimeout fallback
- * @param {function} callback The function to call.
- * @returns {function|Object} An animation frame or a timeout object.
- */
-window.requestAnimFrame = (function(callback){
+if (typeof window !== 'undefined') { // no window when running headless; eg. under Node
+  /**
+   * RequestAnimationFrame shim layer with setTimeout fallback
+   * @param {function} callback The function to call.
+   * @returns {function|Object} An animation frame or a timeout object.
+   */
+  window.requestAnimFrame = (function(callback){
 
-  'use strict';
+    'use strict';
 
-  return  window.requestAnimationFrame       ||
-          window.webkitRequestAnimationFrame ||
-          window.mozRequestAnimationFrame    ||
-          window.oRequestAnimationFrame      ||
-          window.msRequestAnimationFrame     ||
-          function(callback) {
-            window.setTimeout(callback, 1000 / 60);
-          };
-})();
\ No newline at end of file
+    return  window.requestAnimationFrame       ||
+            window.webkitRequestAnimationFrame ||
+            window.mozRequestAnimationFrame    ||
+            window.oRequestAnimationFrame      ||
+            window.msRequestAnimationFrame     ||
+            function(callback) {
+              window.setTimeout(callback, 1000 / 60);
+            };
+  })();
+}
\ No newline at end of file
@@ -7,8 +7,12 @@
  *
  * @param {Object} [opt_options] Options.
  * @param {string} [opt_options.type = ''] The type of stimulator that can activate this sensor. eg. 'cold', 'heat', 'light', 'oxygen', 'food', 'predator'
- * @param {string} [opt_options.behavior = 'LOVE'] The vehicle carrying the sensor will invoke this behavior when the sensor is activated.
+ *    or any stimulus added via System.registerStimulus().
+ * @param {string|function} [opt_options.behavior = 'LOVE'] The vehicle carrying the sensor will invoke this behavior when the sensor
+ *    is activated. Pass the name of a behavior added via Sensor.registerBehavior() or a function. See registerBehavior().
  * @param {number} [opt_options.sensitivity = 2] The higher the sensitivity, the farther away the sensor will activate when approaching a stimulus.
+ * @param {string} [opt_options.falloff = 'linear'] How intensity falls off with distance from a stimulus.
+ *    Valid options are 'linear', 'inverseSquare' and 'gaussian'. See getIntensity().
  * @param {number} [opt_options.width = 5] Width.
  * @param {number} [opt_options.height = 5] Height.
  * @param {number} [opt_options.offsetDistance = 30] The distance from the center of the sensor's parent.
@@ -16,7 +20,20 @@
  * @param {number} [opt_options.opacity = 0.75] Opacity.
  * @param {Object} [opt_options.target = null] A stimulator.
  * @param {boolean} [opt_options.activated = false] True if sensor is close enough to detect a stimulator.
- * @param {boolean} [opt_options.activatedColor = [200, 200, 200]] The color the sensor will display when activated.
+ * @param {number} [opt_options.intensity = 0] The strength of the target stimulus from 0 to 1. Updated each step.
+ * @param {Array} [opt_options.activatedColor = [200, 200, 200]] The color the sensor will display at full intensity.
+ * @param {Array} [opt_options.inactiveColor = [255, 255, 255]] The color the sensor will display at zero intensity.
+ *    Activated sensors blend from inactiveColor to activatedColor by intensity.
+ * @param {number} [opt_options.fov = 360] The width in degrees of the sensor's field of view. The sensor faces
+ *    its parent's angle plus its offsetAngle.
+ * @param {number} [opt_options.range = 0] The distance in pixels the sensor can detect stimuli at. If 0, the
+ *    range grows with each stimulus' size and the sensor's sensitivity.
+ * @param {boolean} [opt_options.occlusion = false] Set to true to ignore stimuli hidden behind occluders.
+ * @param {Array} [opt_options.occluders = ['obstacle']] The names of the stimuli that block the sensor's line of sight.
+ * @param {boolean} [opt_options.showCone = false] Set to true to draw the edges of the sensor's field of view.
+ * @param {string} [opt_options.targetPolicy = 'nearest'] How the sensor picks a target when it detects several
+ *    stimuli. Valid options are 'nearest', 'strongest', 'sticky' (keep the current target while it is detected,
+ *    then pick the nearest) and 'sum' (apply the behavior to every detected stimulus, weighted by intensity).
  */
 function Sensor(opt_options) {
 
@@ -36,7 +53,38 @@ function Sensor(opt_options) {
   this.opacity = options.opacity === 0 ? 0 : options.opacity || 0.75;
   this.target = options.target || null;
   this.activated = !!options.activated;
+  this.intensity = options.intensity || 0;
+  this.falloff = options.falloff || 'linear';
   this.activatedColor = options.activatedColor || [200, 200, 200];
+  this.inactiveColor = options.inactiveColor || [255, 255, 255];
+  this.fov = options.fov === 0 ? 0 : options.fov || 360;
+  this.range = options.range || 0;
+  this.occlusion = !!options.occlusion;
+  this.occluders = options.occluders || ['obstacle'];
+  this.showCone = !!options.showCone;
+  this.targetPolicy = options.targetPolicy || 'nearest';
+
+  /**
+   * A list of the stimuli the sensor detected in the last step. Each
+   * entry is an object with a 'target' and its 'intensity'.
+   */
+  this.detected = [];
+
+  /**
+   * Holds the Connectors drawing the edges of the field of view
+   * and the vectors at their ends.
+   * @private
+   */
+  this._cone = [];
+  this._coneEnds = [];
+
+  if (this.showCone && this.fov < 360) {
+    this._coneEnds = [new exports.Vector(), new exports.Vector()];
+    this._cone = [
+      new exports.Connector(this, {location: this._coneEnds[0]}, {world: this.world, opacity: 0.5, isStatic: true}),
+      new exports.Connector(this, {location: this._coneEnds[1]}, {world: this.world, opacity: 0.5, isStatic: true})
+    ];
+  }
 }
 exports.Utils.extend(Sensor, exports.Agent);
 
@@ -49,64 +97,69 @@ Sensor.prototype.step = function() {
 
   'use strict';
 
-  var check = false, i, max;
+  var i, max, candidates, index, margin, intensity, theta, distance, selected,
+      detected = [], spatialHash = this.world.spatialHash,
+      stimuli = exports.System.getStimulusList(this.type);
 
-  if (this.type === "heat" && exports.heats.length > 0) {
-    for (i = 0, max = exports.heats.length; i < max; i += 1) { // heat
-      if (this.isInside(this, exports.heats[i], this.sensitivity)) {
-        this.target = exports.heats[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
+  if (stimuli && stimuli.length > 0) {
 
+    // sensitivity scales with the stimulator's size; pad the search by the largest element in the world
+    margin = this.range || spatialHash.maxElementSize * (this.sensitivity + 0.5);
+    candidates = spatialHash.getElementsInRect(this.location.x - this.width/2 - margin,
+        this.location.y - this.height/2 - margin, this.width + margin * 2, this.height + margin * 2);
+
+    for (i = 0, max = candidates.length; i < max; i += 1) {
+      index = stimuli.indexOf(candidates[i]);
+      if (index !== -1 && this.canSee(candidates[i])) {
+        intensity = this.getIntensity(candidates[i]);
+        if (intensity > 0) {
+          detected.push({
+            target: candidates[i],
+            intensity: intensity,
+            index: index
+          });
+        }
       }
     }
-  } else if (this.type === "cold" && exports.colds.length > 0) {
-    for (i = 0, max = exports.colds.length; i < max; i += 1) { // cold
-      if (this.isInside(this, exports.colds[i], this.sensitivity)) {
-        this.target = exports.colds[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === "predator" && exports.predators.length > 0) {
-    for (i = 0, max = exports.predators.length; i < max; i += 1) { // predator
-      if (this.isInside(this, exports.predators[i], this.sensitivity)) {
-        this.target = exports.predators[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === "light" && exports.lights.length > 0) {
-    for (i = 0, max = exports.lights.length; i < max; i += 1) { // light
-      if (this.isInside(this, exports.lights[i], this.sensitivity)) {
-        this.target = exports.lights[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === "oxygen" && exports.oxygen.length > 0) {
-    for (i = 0, max = exports.oxygen.length; i < max; i += 1) { // oxygen
-      if (this.isInside(this, exports.oxygen[i], this.sensitivity)) {
-        this.target = exports.oxygen[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === "food" && exports.food.length > 0) {
-    for (i = 0, max = exports.food.length; i < max; i += 1) { // food
-      if (this.isInside(this, exports.food[i], this.sensitivity)) {
-        this.target = exports.food[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
+
+    // keep stimuli in list order so ties are broken the same way every step
+    detected.sort(function(a, b) {
+      return a.index - b.index;
+    });
   }
-  if (!check) {
+
+  this.detected = detected;
+  selected = this.selectTarget(detected);
+
+  if (!selected) {
     this.target = null;
     this.activated = false;
+    this.intensity = 0;
     this.color = 'transparent';
   } else {
-    this.color = this.activatedColor;
+    this.target = selected.target;
+    this.activated = true;
+    this.intensity = selected.intensity;
+    if (this.targetPolicy === 'sum') { // the combined intensity of all stimuli
+      for (i = 0, max = detected.length; i < max; i += 1) {
+        if (detected[i] !== selected) {
+          this.intensity += detected[i].intensity;
+        }
+      }
+      this.intensity = Math.min(this.intensity, 1);
+    }
+    this.color = this.getActivatedColor();
+  }
+
+  if (this._cone.length) { // move the ends of the cone's edges; without a range, use the default stimulus size
+    distance = this.range || 50 * (this.sensitivity + 0.5);
+    for (i = 0; i < 2; i += 1) {
+      theta = exports.Utils.degreesToRadians(this.angle + (i ? 1 : -1) * this.fov / 2);
+      this._coneEnds[i].x = this.location.x + Math.cos(theta) * distance;
+      this._coneEnds[i].y = this.location.y + Math.sin(theta) * distance;
+      this._cone[i].height = 1;
+      this._cone[i].color = this.activated ? this.color : this.inactiveColor;
+    }
   }
   if (this.afterStep) {
     this.afterStep.apply(this);
@@ -116,114 +169,369 @@ Sensor.prototype.step = function() {
 
 /**
  * Returns the force to apply the vehicle when its sensor is activated.
+ * Calls the sensor's behavior with the target and intensity. If targetPolicy
+ * is 'sum', calls it for each detected stimulus and adds the forces.
  *
  * @param {Object} params A list of properties.
  * @param {Object} params.agent The vehicle carrying the sensor.
+ * @returns {Object} The force to apply.
  */
 Sensor.prototype.getActivationForce = function(params) {
 
   'use strict';
 
-  var distanceToTarget, m, steer;
-
-  switch (this.behavior) {
-
-    /**
-     * Steers toward target
-     */
-    case "AGGRESSIVE":
-      return this.seek(this.target);
-    /**
-     * Steers away from the target
-     */
-    case "COWARD":
-      var forceCoward = this.seek(this.target);
-      return forceCoward.mult(-1);
-    /**
-     * Speeds toward target and keeps moving
-     */
-    case "LIKES":
-      var dvLikes = exports.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = dvLikes.mag();
-      dvLikes.normalize();
-
-      m = distanceToTarget/params.agent.maxSpeed;
-      dvLikes.mult(m);
-
-      steer = exports.Vector.VectorSub(dvLikes, params.agent.velocity);
-      steer.limit(params.agent.maxSteeringForce * 0.01);
-      return steer;
-    /**
-     * Arrives at target and remains
-     */
-    case "LOVES":
-      var dvLoves = exports.Vector.VectorSub(this.target.location, this.location); // desiredVelocity
-      distanceToTarget = dvLoves.mag();
-      dvLoves.normalize();
-
-      if (distanceToTarget > this.width) {
-        m = distanceToTarget/params.agent.maxSpeed;
-        dvLoves.mult(m);
-        steer = exports.Vector.VectorSub(dvLoves, params.agent.velocity);
-        steer.limit(params.agent.maxSteeringForce);
-        return steer;
+  var i, max, force,
+      behavior = typeof this.behavior === 'function' ? this.behavior : Sensor.getBehavior(this.behavior);
+
+  if (!behavior) {
+    return new exports.Vector();
+  }
+
+  if (this.targetPolicy !== 'sum' || this.detected.length < 2) {
+    return behavior.call(this, this, params.agent, this.target, this.intensity);
+  }
+
+  // sum the behavior's force for each detected stimulus
+  force = new exports.Vector();
+  for (i = 0, max = this.detected.length; i < max; i += 1) {
+    force.add(behavior.call(this, this, params.agent, this.detected[i].target, this.detected[i].intensity));
+  }
+
+  return force;
+};
+
+/**
+ * Picks a target from a list of detected stimuli using the sensor's
+ * targetPolicy. 'sum' picks the strongest stimulus as the target.
+ *
+ * @param {Array} detected A list of objects with a 'target' and its 'intensity'.
+ * @returns {Object|null} An entry from the list or null if the list is empty.
+ */
+Sensor.prototype.selectTarget = function(detected) {
+
+  'use strict';
+
+  var i, max, entry, distance, selected = null, best = -Infinity;
+
+  for (i = 0, max = detected.length; i < max; i += 1) {
+    entry = detected[i];
+    if (this.targetPolicy === 'sticky' && entry.target === this.target) {
+      return entry;
+    }
+    if (this.targetPolicy === 'strongest' || this.targetPolicy === 'sum') {
+      if (entry.intensity > best) {
+        best = entry.intensity;
+        selected = entry;
       }
-      params.agent.velocity = new exports.Vector();
-      params.agent.acceleration = new exports.Vector();
-      return new exports.Vector();
-    /**
-     * Arrives at target but does not stop
-     */
-    case "EXPLORER":
-
-      var dvExplorer = exports.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = dvExplorer.mag();
-      dvExplorer.normalize();
-
-      m = distanceToTarget/params.agent.maxSpeed;
-      dvExplorer.mult(-m);
-
-      steer = exports.Vector.VectorSub(dvExplorer, params.agent.velocity);
-      steer.limit(params.agent.maxSteeringForce * 0.01);
-      return steer;
-    /**
-     * Moves in the opposite direction as fast as possible
-     */
-    case "RUN":
-      return this.flee(this.target);
-
-    case "ACCELERATE":
-      var forceAccel = params.agent.velocity.clone();
-      forceAccel.normalize(); // get direction
-      return forceAccel.mult(params.agent.minSpeed);
-
-    case "DECELERATE":
-      var forceDecel = params.agent.velocity.clone();
-      forceDecel.normalize(); // get direction
-      return forceDecel.mult(-params.agent.minSpeed);
-
-    default:
-      return new exports.Vector();
+    } else { // nearest
+      distance = -this.location.distance(entry.target.location);
+      if (distance > best) {
+        best = distance;
+        selected = entry;
+      }
+    }
+  }
+
+  return selected;
+};
+
+/**
+ * Returns the strength of a stimulus from 0 to 1. Intensity is 1 at the
+ * stimulus' center and falls off to 0 at the edge of the sensor's range;
+ * the range grows with the stimulus' size and the sensor's sensitivity.
+ * The falloff curve is set by the sensor's 'falloff' property. Stimuli
+ * with a 'strength' property scale their intensity by it.
+ *
+ * @param {Object} [opt_stimulus = The sensor's target] A stimulus.
+ * @returns {number} The intensity.
+ */
+Sensor.prototype.getIntensity = function(opt_stimulus) {
+
+  'use strict';
+
+  var stimulus = opt_stimulus || this.target, range, distance, intensity;
+
+  if (!stimulus) {
+    return 0;
+  }
+
+  range = this._getRange(this, stimulus, this.sensitivity);
+  if (!range) {
+    return 0;
   }
+
+  distance = this.location.distance(stimulus.location) / range;
+  if (distance >= 1) {
+    return 0;
+  }
+
+  intensity = Sensor.falloffs[this.falloff] ? Sensor.falloffs[this.falloff](distance) : 1 - distance;
+  if (typeof stimulus.strength === 'number') {
+    intensity *= stimulus.strength;
+  }
+
+  return exports.Utils.constrain(intensity, 0, 1);
 };
 
 /**
- * Checks if a sensor can detect a stimulator.
+ * Returns the distance within which a sensor detects a stimulus.
+ * @private
+ */
+Sensor.prototype._getRange = function(item, stimulus, sensitivity) {
+
+  'use strict';
+
+  return this.range || Math.max(stimulus.width, stimulus.height) * (sensitivity + 0.5) +
+      Math.max(item.width, item.height) / 2;
+};
+
+/**
+ * Checks if a sensor is within range of a stimulus. Kept for existing
+ * callers; getIntensity() returns more than 0 within the same range.
  *
- * @param {Object} params The sensor.
- * @param {Object} container The stimulator.
- * @param {number} sensitivity The sensor's sensitivity.
+ * @deprecated Use getIntensity().
+ * @param {Object} item The sensor.
+ * @param {Object} container The stimulus.
+ * @param {number} [sensitivity = The sensor's sensitivity] The sensitivity.
+ * @returns {boolean} True if the stimulus is in range.
  */
 Sensor.prototype.isInside = function(item, container, sensitivity) {
 
   'use strict';
 
-  if (item.location.x + item.width/2 > container.location.x - container.width/2 - (sensitivity * container.width) &&
-    item.location.x - item.width/2 < container.location.x + container.width/2 + (sensitivity * container.width) &&
-    item.location.y + item.height/2 > container.location.y - container.height/2 - (sensitivity * container.height) &&
-    item.location.y - item.height/2 < container.location.y + container.height/2 + (sensitivity * container.height)) {
-    return true;
+  var range = this._getRange(item, container, typeof sensitivity === 'number' ? sensitivity : this.sensitivity);
+
+  return !!range && exports.Vector.VectorDistance(item.location, container.location) < range;
+};
+
+/**
+ * Checks if a stimulus is inside the sensor's field of view and, if
+ * occlusion = true, not hidden behind an occluder.
+ *
+ * @param {Object} stimulus A stimulus.
+ * @returns {boolean} True if the sensor can see the stimulus.
+ */
+Sensor.prototype.canSee = function(stimulus) {
+
+  'use strict';
+
+  var i, max, j, maxJ, occluders, x, y, d, theta;
+
+  if (this.fov < 360) {
+    x = stimulus.location.x - this.location.x;
+    y = stimulus.location.y - this.location.y;
+    d = Math.sqrt(x * x + y * y);
+    theta = exports.Utils.degreesToRadians(this.angle);
+    if (d && (Math.cos(theta) * x + Math.sin(theta) * y) / d < Math.cos(exports.Utils.degreesToRadians(this.fov / 2))) {
+      return false;
+    }
+  }
+
+  if (this.occlusion) {
+    for (i = 0, max = this.occluders.length; i < max; i += 1) {
+      occluders = exports.System.getStimulusList(this.occluders[i]) || [];
+      for (j = 0, maxJ = occluders.length; j < maxJ; j += 1) {
+        if (occluders[j] !== stimulus && occluders[j].world === this.world &&
+            exports.Collision.intersectsSegment(occluders[j], this.location, stimulus.location)) {
+          return false;
+        }
+      }
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Returns the sensor's color at its current intensity; a blend from
+ * inactiveColor to activatedColor.
+ *
+ * @returns {Array} An rgb color.
+ */
+Sensor.prototype.getActivatedColor = function() {
+
+  'use strict';
+
+  var a = this.inactiveColor, b = this.activatedColor, t = this.intensity;
+
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * t),
+    Math.round(a[1] + (b[1] - a[1]) * t),
+    Math.round(a[2] + (b[2] - a[2]) * t)
+  ];
+};
+
+/**
+ * Falloff curves used by getIntensity(). Each receives the distance to the
+ * stimulus as a share of the sensor's range, from 0 to 1, and returns an
+ * intensity from 1 to 0.
+ */
+Sensor.falloffs = {
+  linear: function(distance) {
+    'use strict';
+    return 1 - distance;
+  },
+  inverseSquare: function(distance) { // 1 / (1 + 9d^2) shifted and scaled to reach 0 at the range
+    'use strict';
+    return (1 / (1 + 9 * distance * distance) - 0.1) / 0.9;
+  },
+  gaussian: function(distance) { // a bell curve with a standard deviation of a third of the range
+    'use strict';
+    var edge = Math.exp(-4.5);
+    return (Math.exp(-4.5 * distance * distance) - edge) / (1 - edge);
+  }
+};
+
+/**
+ * Holds behaviors registered via registerBehavior().
+ * @private
+ */
+Sensor._behaviors = {};
+
+/**
+ * Registers a behavior sensors can invoke when activated. Sensors with a
+ * 'behavior' matching the name call the function each step they are activated.
+ * Registering an existing name replaces its behavior.
+ *
+ * @param {string} name The behavior's name.
+ * @param {function} fn A function that receives the sensor, the agent carrying it,
+ *    the target stimulus and its intensity from 0 to 1, and returns a force to apply
+ *    to the agent. Typically, the force is scaled by the intensity.
+ * @example
+ * Flora.Sensor.registerBehavior('CIRCLE', function(sensor, agent, target, intensity) {
+ *   var toTarget = Flora.Vector.VectorSub(target.location, agent.location);
+ *   return new Flora.Vector(-toTarget.y, toTarget.x).normalize().mult(agent.maxSteeringForce * intensity);
+ * });
+ * new Flora.Sensor({type: 'heat', behavior: 'CIRCLE'});
+ */
+Sensor.registerBehavior = function(name, fn) {
+
+  'use strict';
+
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Sensor.registerBehavior: a name is required.');
+  }
+  if (typeof fn !== 'function') {
+    throw new Error('Sensor.registerBehavior: a function is required.');
   }
-  return false;
+  Sensor._behaviors[name] = fn;
 };
+
+/**
+ * Returns a registered behavior.
+ *
+ * @param {string} name The behavior's name.
+ * @returns {function|null} The behavior or null if no behavior has the passed name.
+ */
+Sensor.getBehavior = function(name) {
+
+  'use strict';
+
+  return Sensor._behaviors.hasOwnProperty(name) ? Sensor._behaviors[name] : null;
+};
+
+/**
+ * Steers toward the target.
+ */
+Sensor.registerBehavior('AGGRESSIVE', function(sensor, agent, target, intensity) {
+  'use strict';
+  return sensor.seek(target).mult(intensity);
+});
+
+/**
+ * Steers away from the target.
+ */
+Sensor.registerBehavior('COWARD', function(sensor, agent, target, intensity) {
+  'use strict';
+  return sensor.seek(target).mult(-intensity);
+});
+
+/**
+ * Speeds toward the target and keeps moving.
+ */
+Sensor.registerBehavior('LIKES', function(sensor, agent, target, intensity) {
+  'use strict';
+  var desiredVelocity = exports.Vector.VectorSub(target.location, sensor.location),
+      distanceToTarget = desiredVelocity.mag(), steer;
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(distanceToTarget / agent.maxSpeed);
+
+  steer = exports.Vector.VectorSub(desiredVelocity, agent.velocity);
+  steer.limit(agent.maxSteeringForce * 0.01);
+  return steer.mult(intensity);
+});
+
+/**
+ * Arrives at the target and remains.
+ */
+Sensor.registerBehavior('LOVES', function(sensor, agent, target, intensity) {
+  'use strict';
+  var desiredVelocity = exports.Vector.VectorSub(target.location, sensor.location),
+      distanceToTarget = desiredVelocity.mag(), steer;
+
+  desiredVelocity.normalize();
+
+  if (distanceToTarget > sensor.width) {
+    desiredVelocity.mult(distanceToTarget / agent.maxSpeed);
+    steer = exports.Vector.VectorSub(desiredVelocity, agent.velocity);
+    steer.limit(agent.maxSteeringForce);
+    return steer.mult(intensity);
+  }
+  agent.velocity = new exports.Vector();
+  agent.acceleration = new exports.Vector();
+  return new exports.Vector();
+});
+
+/**
+ * Arrives at the target but does not stop.
+ */
+Sensor.registerBehavior('EXPLORER', function(sensor, agent, target, intensity) {
+  'use strict';
+  var desiredVelocity = exports.Vector.VectorSub(target.location, sensor.location),
+      distanceToTarget = desiredVelocity.mag(), steer;
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(-distanceToTarget / agent.maxSpeed);
+
+  steer = exports.Vector.VectorSub(desiredVelocity, agent.velocity);
+  steer.limit(agent.maxSteeringForce * 0.01);
+  return steer.mult(intensity);
+});
+
+/**
+ * Moves in the opposite direction as fast as possible.
+ */
+Sensor.registerBehavior('RUN', function(sensor, agent, target, intensity) {
+  'use strict';
+  return sensor.flee(target).mult(intensity);
+});
+
+/**
+ * Speeds up in the direction of travel.
+ */
+Sensor.registerBehavior('ACCELERATE', function(sensor, agent, target, intensity) {
+  'use strict';
+  var force = agent.velocity.clone();
+  force.normalize(); // get direction
+  return force.mult(agent.minSpeed * intensity);
+});
+
+/**
+ * Slows down in the direction of travel.
+ */
+Sensor.registerBehavior('DECELERATE', function(sensor, agent, target, intensity) {
+  'use strict';
+  var force = agent.velocity.clone();
+  force.normalize(); // get direction
+  return force.mult(-agent.minSpeed * intensity);
+});
+
+exports.Element.registerReference('target', {
+  onClear: function(sensor) {
+    'use strict';
+    sensor.activated = false;
+  }
+});
+
 exports.Sensor = Sensor;
\ No newline at end of file
@@ -51,6 +51,21 @@ return {
   p: p,
   perm: perm,
   simplex: simplex,
+  /**
+   * Rebuilds the permutation table from a random number generator.
+   * System.start() seeds the noise from a generator derived from the System's seed.
+   *
+   * @param {Object} r An object with a random() method.
+   */
+  seed: function(r) {
+    var i;
+    for (i = 0; i < 256; i += 1) {
+      this.p[i] = Math.floor(r.random()*256);
+    }
+    for (i = 0; i < 512; i += 1) {
+      this.perm[i] = this.p[i & 255];
+    }
+  },
   dot: function(g, x, y) {
     return g[0] * x + g[1] * y;
   },
@@ -0,0 +1,178 @@
+/*global exports */
+/**
+ * Creates a new SpatialHash.
+ *
+ * A uniform grid used to find elements near a location without looping
+ * through every element in the system. Each World carries a SpatialHash
+ * that is rebuilt at the start of every step.
+ *
+ * Elements are inserted into every cell their bounds overlap. Queries
+ * return elements in the cells a search area overlaps, then check each
+ * element's current location and size.
+ *
+ * @constructor
+ *
+ * @param {Object} [opt_options] Options.
+ * @param {number} [opt_options.cellSize = 50] The width and height of each cell. Best set close
+ *    to the radius of the most common query; eg. an Agent's desiredSeparation.
+ */
+function SpatialHash(opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  this.cellSize = options.cellSize || 50;
+
+  /**
+   * The largest width or height of any inserted element.
+   * Use to pad a query for elements whose size affects the search area.
+   */
+  this.maxElementSize = 0;
+
+  /**
+   * Holds arrays of elements keyed by cell.
+   * @private
+   */
+  this._cells = {};
+
+  /**
+   * Increments with each query. Used to return an element only once when it spans several cells.
+   * @private
+   */
+  this._queryCount = 0;
+
+  /**
+   * Holds the last query each element was returned from keyed by element id.
+   * @private
+   */
+  this._lastQuery = {};
+}
+
+SpatialHash.prototype.name = 'SpatialHash';
+
+/**
+ * Removes all elements.
+ */
+SpatialHash.prototype.clear = function() {
+
+  'use strict';
+
+  this._cells = {};
+  this._lastQuery = {};
+  this.maxElementSize = 0;
+};
+
+/**
+ * Adds an element to every cell its bounds overlap.
+ *
+ * @param {Object} obj A Flora element.
+ */
+SpatialHash.prototype.insert = function(obj) {
+
+  'use strict';
+
+  var col, row, key, size = this.cellSize,
+      halfWidth = (obj.width || 0) / 2,
+      halfHeight = (obj.height || 0) / 2,
+      minCol = Math.floor((obj.location.x - halfWidth) / size),
+      maxCol = Math.floor((obj.location.x + halfWidth) / size),
+      minRow = Math.floor((obj.location.y - halfHeight) / size),
+      maxRow = Math.floor((obj.location.y + halfHeight) / size);
+
+  for (col = minCol; col <= maxCol; col += 1) {
+    for (row = minRow; row <= maxRow; row += 1) {
+      key = col + ',' + row;
+      if (!this._cells[key]) {
+        this._cells[key] = [];
+      }
+      this._cells[key].push(obj);
+    }
+  }
+
+  this.maxElementSize = Math.max(this.maxElementSize, obj.width || 0, obj.height || 0);
+};
+
+/**
+ * Returns elements whose bounds overlap a rectangle.
+ *
+ * @param {number} x The rectangle's left edge.
+ * @param {number} y The rectangle's top edge.
+ * @param {number} width The rectangle's width.
+ * @param {number} height The rectangle's height.
+ * @returns {Array} An array of elements.
+ */
+SpatialHash.prototype.getElementsInRect = function(x, y, width, height) {
+
+  'use strict';
+
+  return this._query(x, y, width, height, function(obj) {
+    return obj.location.x + obj.width/2 >= x &&
+        obj.location.x - obj.width/2 <= x + width &&
+        obj.location.y + obj.height/2 >= y &&
+        obj.location.y - obj.height/2 <= y + height;
+  });
+};
+
+/**
+ * Returns elements whose location is within a radius of a location.
+ *
+ * @param {Object} location A vector.
+ * @param {number} radius The search radius.
+ * @returns {Array} An array of elements.
+ */
+SpatialHash.prototype.getNeighbors = function(location, radius) {
+
+  'use strict';
+
+  return this._query(location.x - radius, location.y - radius, radius * 2, radius * 2, function(obj) {
+    var x = obj.location.x - location.x,
+        y = obj.location.y - location.y;
+    return x * x + y * y <= radius * radius;
+  });
+};
+
+/**
+ * Loops through the cells a rectangle overlaps and returns each element
+ * passing a test once.
+ *
+ * @param {number} x The rectangle's left edge.
+ * @param {number} y The rectangle's top edge.
+ * @param {number} width The rectangle's width.
+ * @param {number} height The rectangle's height.
+ * @param {function} test Returns true if the element should be returned.
+ * @returns {Array} An array of elements.
+ * @private
+ */
+SpatialHash.prototype._query = function(x, y, width, height, test) {
+
+  'use strict';
+
+  var i, max, col, row, cell, obj, results = [], size = this.cellSize,
+      minCol = Math.floor(x / size),
+      maxCol = Math.floor((x + width) / size),
+      minRow = Math.floor(y / size),
+      maxRow = Math.floor((y + height) / size);
+
+  this._queryCount += 1;
+
+  for (col = minCol; col <= maxCol; col += 1) {
+    for (row = minRow; row <= maxRow; row += 1) {
+      cell = this._cells[col + ',' + row];
+      if (cell) {
+        for (i = 0, max = cell.length; i < max; i += 1) {
+          obj = cell[i];
+          if (this._lastQuery[obj.id] !== this._queryCount) {
+            this._lastQuery[obj.id] = this._queryCount;
+            if (test(obj)) {
+              results[results.length] = obj;
+            }
+          }
+        }
+      }
+    }
+  }
+  return results;
+};
+
+exports.SpatialHash = SpatialHash;
@@ -0,0 +1,101 @@
+/*global exports */
+/**
+ * Creates a new Spring.
+ *
+ * A Spring pulls parentA and parentB toward a rest length apart. Each step it
+ * applies a Hooke's law force along the line between them to both parents
+ * via applyForce(). Static parents are not moved. Use Springs to build
+ * chains, ropes and soft bodies.
+ *
+ * @constructor
+ * @extends Agent
+ * @param {Object} parentA The object at one end of the spring.
+ * @param {Object} parentB The object at the other end of the spring.
+ * @param {Object} [opt_options] Options.
+ * @param {number} [opt_options.restLength = The initial distance between the parents] The length
+ *    the spring pulls or pushes its parents toward.
+ * @param {number} [opt_options.stiffness = 0.1] The force applied per pixel the spring is
+ *    stretched or compressed.
+ * @param {number} [opt_options.damping = 0.1] The force applied per unit of speed the parents move
+ *    apart or together. Reduces oscillation.
+ * @param {boolean} [opt_options.showConnector = false] Set to true to draw a Connector between the parents.
+ * @param {Object} [opt_options.connectorOptions] Options passed to the Connector.
+ */
+function Spring(parentA, parentB, opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {};
+
+  exports.Agent.call(this, options);
+
+  if (!parentA || !parentB) {
+    throw new Error('Spring: both parentA and parentB are required.');
+  }
+  this.parentA = parentA;
+  this.parentB = parentB;
+  this.width = 0;
+  this.height = 0;
+  this.color = 'transparent';
+
+  this.restLength = options.restLength === 0 ? 0 : options.restLength ||
+      exports.Vector.VectorSub(parentB.location, parentA.location).mag();
+  this.stiffness = options.stiffness === 0 ? 0 : options.stiffness || 0.1;
+  this.damping = options.damping === 0 ? 0 : options.damping || 0.1;
+  this.showConnector = !!options.showConnector;
+  this.connector = this.showConnector ? new exports.Connector(parentA, parentB, options.connectorOptions) : null;
+
+  this.springForceVector = new exports.Vector(); // used in Spring.step()
+}
+exports.Utils.extend(Spring, exports.Agent);
+
+Spring.prototype.name = 'Spring';
+
+/**
+ * Called every frame, step() applies the spring force to both parents.
+ */
+Spring.prototype.step = function() {
+
+  'use strict';
+
+  var a = this.parentA, b = this.parentB,
+      force = this.springForceVector,
+      distance, magnitude;
+
+  if (this.beforeStep) {
+    this.beforeStep.apply(this);
+  }
+
+  force.x = b.location.x - a.location.x;
+  force.y = b.location.y - a.location.y;
+  distance = force.mag();
+
+  this.location = exports.Vector.VectorAdd(a.location, b.location).div(2); // midpoint = (v1 + v2)/2
+
+  if (distance) {
+
+    force.div(distance); // the direction from parentA to parentB
+
+    // stretch pulls the parents together; the speed they separate at is damped
+    magnitude = this.stiffness * (distance - this.restLength) +
+        this.damping * ((b.velocity.x - a.velocity.x) * force.x + (b.velocity.y - a.velocity.y) * force.y);
+    force.mult(magnitude);
+
+    if (!a.isStatic) {
+      a.applyForce(force);
+    }
+    if (!b.isStatic) {
+      b.applyForce(force.mult(-1));
+    }
+  }
+
+  if (this.afterStep) {
+    this.afterStep.apply(this);
+  }
+};
+
+// destroyed with either parent
+exports.Element.registerReference('parentA', {destroy: true});
+exports.Element.registerReference('parentB', {destroy: true});
+
+exports.Spring = Spring;
@@ -20,34 +20,42 @@ System.setup = null;
  * Starts the System.
  * @param {function} func A list of instructions to execute before the system starts.
  * @param {Object} opt_universe A map of options for the System's Universe.
- * @param {Array} opt_worlds An array of DOM elements to use as Worlds.
+ * @param {Array} opt_worlds An array of DOM elements to use as Worlds. If the Universe is
+ *    headless, an array of World options; each must include a width and height.
  */
 System.start = function (func, opt_universe, opt_worlds) {
 
   'use strict';
 
-  var i, max,
+  var i, max, isHeadless,
       defaultColorList = exports.config.defaultColorList;
 
   this.universeOptions = opt_universe || null;
   this.worlds = opt_worlds || null;
 
-  this._featureDetector = new exports.FeatureDetector();
+  isHeadless = !!(this.universeOptions && this.universeOptions.isHeadless);
+
+  // seed the random number generator and noise before anything calls them
+  exports.random = new exports.Random(this.universeOptions ? this.universeOptions.seed : undefined);
+  // noise draws from its own generator so exports.random starts at the seed's first value
+  exports.SimplexNoise.seed(new exports.Random(exports.random.initialSeed ^ 0x2545F491));
 
   this.supportedFeatures = {};
-  this.supportedFeatures.csstransforms = this._featureDetector.detect('csstransforms');
-  this.supportedFeatures.csstransforms3d = this._featureDetector.detect('csstransforms3d');
-  this.supportedFeatures.touch = this._featureDetector.detect('touch');
-
-  exports.liquids = [];
-  exports.repellers = [];
-  exports.attractors = [];
-  exports.heats = [];
-  exports.colds = [];
-  exports.lights = [];
-  exports.oxygen = [];
-  exports.food = [];
-  exports.predators = [];
+  if (isHeadless) { // nothing to detect without a browser
+    this.supportedFeatures.csstransforms = false;
+    this.supportedFeatures.csstransforms3d = false;
+    this.supportedFeatures.touch = false;
+  } else {
+    this._featureDetector = new exports.FeatureDetector();
+    this.supportedFeatures.csstransforms = this._featureDetector.detect('csstransforms');
+    this.supportedFeatures.csstransforms3d = this._featureDetector.detect('csstransforms3d');
+    this.supportedFeatures.touch = this._featureDetector.detect('touch');
+  }
+
+  // create an empty list for each stimulus; eg. exports.heats
+  for (i = 0, max = System._stimuli.length; i < max; i += 1) {
+    exports[System._stimuli[i].list] = [];
+  }
 
   exports.mouse = {
     loc: new exports.Vector(),
@@ -60,7 +68,7 @@ System.start = function (func, opt_universe, opt_worlds) {
   exports.universe = new exports.Universe(this.universeOptions);
   if (exports.Interface.getDataType(this.worlds) === 'array') {
     for (i = 0, max = this.worlds.length; i < max; i += 1) {
-      exports.universe.addWorld({
+      exports.universe.addWorld(isHeadless ? this.worlds[i] : {
         el: this.worlds[i]
       });
     }
@@ -79,18 +87,41 @@ System.start = function (func, opt_universe, opt_worlds) {
       endColor: defaultColorList[i].endColor
     });
   }
+  for (i = 0, max = System._stimuli.length; i < max; i += 1) { // stimuli without a default color
+    if (!exports.defaultColors[System._stimuli[i].name]) {
+      exports.defaultColors.addColor(System._stimuli[i]);
+    }
+  }
 
   exports.animLoop = function () {
 
-    var i, universe = exports.universe,
-        elements = exports.elementList.all();
+    var steps = 0, now, universe = exports.universe;
 
     if (universe.isPlaying) {
       window.requestAnimFrame(exports.animLoop);
 
-      if (universe.zSorted) {
-        elements = elements.sort(function(a,b){return (b.zIndex - a.zIndex);});
+      /*
+       * Accumulate the real time elapsed since the last frame and
+       * consume it in fixed time steps so the simulation runs at the
+       * same speed regardless of frame rate. The first frame always
+       * runs one step.
+       */
+      now = Date.now ? Date.now() : new Date().getTime();
+      if (universe._lastFrameTime === null) {
+        universe._accumulator = universe.timeStep;
+      } else {
+        universe._accumulator += (now - universe._lastFrameTime) * universe.timeScale;
       }
+      universe._lastFrameTime = now;
+
+      while (universe._accumulator >= universe.timeStep && steps < universe.maxSubSteps) {
+        universe._accumulator -= universe.timeStep;
+        steps += 1;
+      }
+      if (steps === universe.maxSubSteps) { // drop time we could not catch up on
+        universe._accumulator = universe._accumulator % universe.timeStep;
+      }
+      universe.alpha = universe._accumulator / universe.timeStep;
 
       /*
        * Using two loops here because it's faster and frame rate
@@ -99,18 +130,12 @@ System.start = function (func, opt_universe, opt_worlds) {
        */
 
       // update elements' properties
-      for (i = elements.length - 1; i >= 0; i -= 1) {
-        elements[i].step();
+      if (steps) {
+        System.tick(steps);
       }
 
       // updated elements' DOM element
-      for (i = elements.length - 1; i >= 0; i -= 1) {
-        if (elements[i]) {
-          elements[i].draw();
-        }
-      }
-
-      exports.universe.updateClocks();
+      System.draw();
     }
   };
 
@@ -119,7 +144,207 @@ System.start = function (func, opt_universe, opt_worlds) {
   System.setup = func;
 
   func();
-  exports.animLoop();
+
+  // headless systems are advanced manually via tick()
+  if (!isHeadless) {
+    exports.animLoop();
+  }
+};
+
+/**
+ * Advances the System without rendering. Use to run a headless
+ * System or to step through a paused System. Each step advances
+ * the simulation by the Universe's timeStep.
+ *
+ * @param {number} [opt_steps = 1] The number of steps to advance.
+ * @returns {Array} An array of elements.
+ * @example
+ * Flora.System.start(setup, {isHeadless: true}, [{width: 800, height: 600}]);
+ * Flora.System.tick(1000); // runs 1000 steps
+ */
+System.tick = function(opt_steps) {
+
+  'use strict';
+
+  var i, j, elements,
+      steps = opt_steps || 1,
+      interpolate = exports.universe.interpolate;
+
+  for (i = 0; i < steps; i += 1) {
+    exports.universe.updateSpatialHashes();
+    elements = exports.elementList.all().slice(0); // elements may be destroyed while stepping
+    for (j = elements.length - 1; j >= 0; j -= 1) {
+      if (elements[j] && !elements[j].isDestroyed) {
+        if (interpolate && elements[j].lastStepLocation) { // save location to interpolate from when drawing
+          elements[j].lastStepLocation.x = elements[j].location.x;
+          elements[j].lastStepLocation.y = elements[j].location.y;
+        }
+        elements[j].step();
+      }
+    }
+    exports.Collision.update();
+    exports.universe.updateClocks();
+  }
+  return exports.elementList.all();
+};
+
+/**
+ * Renders every World and element once via their World's renderer.
+ */
+System.draw = function() {
+
+  'use strict';
+
+  var i, universe = exports.universe,
+      elements = exports.elementList.all(),
+      worlds = universe.all(),
+      zSorted = universe.zSorted;
+
+  for (i = worlds.length - 1; i >= 0; i -= 1) { // renderers without CSS stacking need sorted elements
+    if (worlds[i].renderer.zSorted) {
+      zSorted = true;
+    }
+  }
+
+  if (zSorted) { // sort a copy so the step order does not change
+    elements = elements.slice(0).sort(function(a,b){return (b.zIndex - a.zIndex);});
+  }
+
+  // prepare each world's renderer for a new frame
+  for (i = worlds.length - 1; i >= 0; i -= 1) {
+    worlds[i].renderer.beginFrame(worlds[i]);
+  }
+
+  // render elements via their world's renderer
+  for (i = elements.length - 1; i >= 0; i -= 1) {
+    if (elements[i]) {
+      elements[i].draw();
+    }
+  }
+};
+
+/**
+ * Holds the registered stimuli in the order they were registered.
+ * @private
+ */
+System._stimuli = [];
+
+/**
+ * Registers a stimulus. Elements whose className contains the stimulus'
+ * className are added to its list when created; eg. exports.heats. Sensors
+ * with a 'type' matching the stimulus' name detect them. The stimulus is also
+ * added to the default ColorTable.
+ *
+ * If an element's className matches several stimuli, it is added to the
+ * list of the first one registered.
+ *
+ * @param {string} name The stimulus name. Use as a Sensor's 'type'.
+ * @param {Object} [opt_options] Options.
+ * @param {string} [opt_options.className = name] Elements with this className are stimuli of this type.
+ * @param {string} [opt_options.list = name + 's'] The name of the list holding these elements; eg. exports.sounds.
+ * @param {Array} [opt_options.startColor = [200, 200, 200]] The start color of the stimulus' default color range.
+ * @param {Array} [opt_options.endColor = [100, 100, 100]] The end color of the stimulus' default color range.
+ * @returns {Object} The registered stimulus.
+ * @example
+ * Flora.System.registerStimulus('sound', {
+ *   startColor: [255, 255, 255],
+ *   endColor: [150, 150, 150]
+ * });
+ * new Flora.Agent({className: 'sound'}); // added to Flora.sounds
+ * new Flora.Sensor({type: 'sound'}); // detects sounds
+ */
+System.registerStimulus = function(name, opt_options) {
+
+  'use strict';
+
+  var options = opt_options || {},
+      stimulus = System.getStimulus(name);
+
+  if (typeof name !== 'string' || !name) {
+    throw new Error('System.registerStimulus: a name is required.');
+  }
+
+  if (!stimulus) {
+    stimulus = {};
+    System._stimuli.push(stimulus);
+  }
+
+  stimulus.name = name;
+  stimulus.className = options.className || name;
+  stimulus.list = options.list || name + 's';
+  stimulus.startColor = options.startColor || [200, 200, 200];
+  stimulus.endColor = options.endColor || [100, 100, 100];
+
+  // if the System is already running, create the list and color now
+  if (exports.elementList && !exports[stimulus.list]) {
+    exports[stimulus.list] = [];
+  }
+  if (exports.defaultColors && (options.startColor || !exports.defaultColors[name])) {
+    exports.defaultColors.addColor(stimulus);
+  }
+
+  return stimulus;
+};
+
+/**
+ * Returns all registered stimuli.
+ *
+ * @returns {Array} An array of stimuli.
+ */
+System.getStimuli = function() {
+  'use strict';
+  return System._stimuli;
+};
+
+/**
+ * Returns a registered stimulus.
+ *
+ * @param {string} name The stimulus name.
+ * @returns {Object|null} The stimulus or null if no stimulus has the passed name.
+ */
+System.getStimulus = function(name) {
+
+  'use strict';
+
+  for (var i = 0, max = System._stimuli.length; i < max; i += 1) {
+    if (System._stimuli[i].name === name) {
+      return System._stimuli[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the first registered stimulus matching a className.
+ *
+ * @param {string} className An element's className.
+ * @returns {Object|null} The stimulus or null if no stimulus matches.
+ */
+System.getStimulusByClassName = function(className) {
+
+  'use strict';
+
+  for (var i = 0, max = System._stimuli.length; i < max; i += 1) {
+    if (className.search(System._stimuli[i].className) !== -1) {
+      return System._stimuli[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Returns the list of elements of a registered stimulus.
+ *
+ * @param {string} name The stimulus name.
+ * @returns {Array|null} An array of elements or null if no stimulus has the passed name.
+ */
+System.getStimulusList = function(name) {
+
+  'use strict';
+
+  var stimulus = System.getStimulus(name);
+
+  return stimulus ? exports[stimulus.list] || null : null;
 };
 
 /**
@@ -130,4 +355,22 @@ System.destroy = function () {
   exports.elementList.destroyAll();
 };
 
+// forces
+System.registerStimulus('liquid', {list: 'liquids'});
+System.registerStimulus('repeller', {list: 'repellers'});
+System.registerStimulus('attractor', {list: 'attractors'});
+System.registerStimulus('obstacle', {
+  list: 'obstacles',
+  startColor: [100, 100, 100],
+  endColor: [50, 50, 50]
+});
+
+// stimuli sensors detect
+System.registerStimulus('heat', {list: 'heats'});
+System.registerStimulus('cold', {list: 'colds'});
+System.registerStimulus('predator', {list: 'predators'});
+System.registerStimulus('light', {list: 'lights'});
+System.registerStimulus('oxygen', {list: 'oxygen'});
+System.registerStimulus('food', {list: 'food'});
+
 exports.System = System;
\ No newline at end of file
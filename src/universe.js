@@ -6,21 +6,65 @@
  * @param {Object} [opt_options] Options.
  * @param {boolean} [opt_options.isPlaying = true] Set to false to suspend the render loop.
  * @param {boolean} [opt_options.zSorted = false] Set to true to sort all elements by their zIndex before rendering.
+ *    Worlds using the CanvasRenderer are always sorted.
  * @param {boolean} [opt_options.showStats = false] Set to true to render stats on startup.
  * @param {boolean} [opt_options.isDeviceMotion = false] Set to true add the devicemotion event listener.
  *    Typically use with accelerometer equipped devices.
+ * @param {string|Object} [opt_options.renderer = 'dom'] The default renderer for new worlds. Valid options
+ *    are 'dom' and 'canvas'. See World.
+ * @param {boolean} [opt_options.isHeadless = false] Set to true to run without a document or window. Worlds
+ *    require a width and height, elements carry no DOM element and the System is advanced via System.tick().
+ * @param {number} [opt_options.timeStep = 1000/60] The simulated time in milliseconds each step advances.
+ *    The animation loop runs as many steps as fit in the real time elapsed since the last frame.
+ * @param {number} [opt_options.maxSubSteps = 5] The maximum number of steps to run per frame. If the
+ *    loop falls further behind, the remaining time is dropped.
+ * @param {boolean} [opt_options.interpolate = false] Set to true to draw elements between their locations
+ *    at the last two steps. Smooths motion when the frame rate and time step differ.
+ * @param {number} [opt_options.timeScale = 1] Multiplies the real time elapsed between frames. Set to 0.25
+ *    to run in slow motion or 4 to fast-forward. Fast-forwarding is capped by maxSubSteps.
+ * @param {number} [opt_options.seed] Seeds the System's random number generator. Systems started with the
+ *    same seed and setup run the same way. If no seed is passed, one is created; read it from Flora.random.initialSeed.
  */
 function Universe(opt_options) {
 
   'use strict';
 
-  var me = this,
-      options = opt_options || {};
+  var options = opt_options || {};
 
   this.isPlaying = options.isPlaying || true;
   this.zSorted = !!options.zSorted;
   this.showStats = !!options.showStats;
   this.isDeviceMotion = !!options.isDeviceMotion;
+  this.renderer = options.renderer || 'dom';
+  this.isHeadless = !!options.isHeadless;
+  this.timeStep = options.timeStep || 1000 / 60;
+  this.maxSubSteps = options.maxSubSteps || 5;
+  this.interpolate = !!options.interpolate;
+  this.timeScale = options.timeScale || 1;
+
+  /**
+   * The time step relative to 60 steps per second. Elements scale forces
+   * and velocities by dt so they move at the same speed for any time step.
+   */
+  this.dt = this.timeStep / (1000 / 60);
+
+  /**
+   * How far the real time is between the last step and the next,
+   * from 0 to 1. Used to interpolate locations when drawing.
+   */
+  this.alpha = 0;
+
+  /**
+   * Holds the real time not yet consumed by steps.
+   * @private
+   */
+  this._accumulator = 0;
+
+  /**
+   * The time of the last frame. Null until the first frame or after resuming.
+   * @private
+   */
+  this._lastFrameTime = null;
 
   /**
    * Holds a list of references to worlds
@@ -36,6 +80,31 @@ function Universe(opt_options) {
   this._statsDisplay = null;
 
   // Events
+  if (!this.isHeadless) {
+    this.addEventListeners();
+  }
+
+  // device motion
+  if (exports.System.supportedFeatures.touch && this.isDeviceMotion) {
+    this.addDeviceMotionEventListener();
+  }
+
+  // stats
+  if (this.showStats && !this.isHeadless) {
+    this.createStats();
+  }
+}
+
+Universe.prototype.name = 'Universe';
+
+/**
+ * Adds mouse, key and touch event listeners to the document.
+ */
+Universe.prototype.addEventListeners = function() {
+
+  'use strict';
+
+  var me = this;
 
   // save the current and last mouse position
   exports.Utils.addEvent(document.body, 'mousemove', function(e) {
@@ -55,6 +124,12 @@ function Universe(opt_options) {
       me.resetSystem();
     } else if (e.keyCode === exports.config.keyMap.stats) { // stats
       me.toggleStats();
+    } else if (e.keyCode === exports.config.keyMap.stepForward) { // step forward
+      me.stepOnce();
+    } else if (e.keyCode === exports.config.keyMap.speedUp) { // double speed up to 4x
+      me.setTimeScale(exports.Utils.constrain(me.timeScale * 2, 0.25, 4));
+    } else if (e.keyCode === exports.config.keyMap.speedDown) { // half speed down to 0.25x
+      me.setTimeScale(exports.Utils.constrain(me.timeScale / 2, 0.25, 4));
     }
   });
 
@@ -152,19 +227,7 @@ function Universe(opt_options) {
       break;
     }
   });
-
-  // device motion
-  if (exports.System.supportedFeatures.touch && this.isDeviceMotion) {
-    this.addDeviceMotionEventListener();
-  }
-
-  // stats
-  if (this.showStats) {
-    this.createStats();
-  }
-}
-
-Universe.prototype.name = 'Universe';
+};
 
 /**
  * Adds a new World to the 'records' array.
@@ -178,6 +241,9 @@ Universe.prototype.addWorld = function(opt_options) {
 
   var options = opt_options || {};
 
+  options.renderer = options.renderer || this.renderer;
+  options.isHeadless = this.isHeadless;
+
   this._records.push(new exports.World(options));
 
   // copy reference to new World in elementList
@@ -316,17 +382,21 @@ Universe.prototype.destroyWorld = function (id) {
   for (i = 0, max = records.length; i < max; i += 1) {
     if (records[i].id === id) {
 
-      var parent = records[i].el.parentNode;
+      var el = records[i].el, parent = el ? el.parentNode : null;
 
       // is this world the body element?
-      if (records[i].el === document.body) {
+      if (el && el === document.body) {
         // remove all elements but not the <body>
         exports.elementList.destroyAll();
       } else {
-        // remove ell elements and world
+        // remove all elements and world; headless worlds have no DOM element to remove
         exports.elementList.destroyByWorld(records[i]);
-        parent.removeChild(records[i].el);
+        if (parent) {
+          parent.removeChild(el);
+        }
       }
+      exports.elementList.remove(records[i]);
+      records[i].renderer.destroy(records[i]);
       records.splice(i, 1);
       break;
     }
@@ -367,7 +437,7 @@ Universe.prototype.destroyAll = function () {
 };
 
 /**
- * Increments each world's clock.
+ * Increments each world's clock. Called once per step.
  */
 Universe.prototype.updateClocks = function () {
 
@@ -378,6 +448,28 @@ Universe.prototype.updateClocks = function () {
   }
 };
 
+/**
+ * Rebuilds each world's spatial hash from the current location of its
+ * elements. Called once per step before elements step.
+ */
+Universe.prototype.updateSpatialHashes = function () {
+
+  'use strict';
+
+  var i, max, element, elements = exports.elementList.all();
+
+  for (i = 0, max = this._records.length; i < max; i += 1) {
+    this._records[i].spatialHash.clear();
+  }
+
+  for (i = 0, max = elements.length; i < max; i += 1) {
+    element = elements[i];
+    if (element && element.world && element.world.spatialHash && element.location) {
+      element.world.spatialHash.insert(element);
+    }
+  }
+};
+
 /**
  * Toggles pausing the FloraSystem animation loop.
  *
@@ -389,12 +481,51 @@ Universe.prototype.pauseSystem = function() {
   'use strict';
 
   this.isPlaying = !this.isPlaying;
-  if (this.isPlaying) {
+  this._lastFrameTime = null; // do not count the time spent paused
+  if (this.isPlaying && !this.isHeadless) {
     window.requestAnimFrame(exports.animLoop);
   }
   return this.isPlaying;
 };
 
+/**
+ * Pauses the FloraSystem if it is playing and advances it exactly one step.
+ *
+ * @returns {boolean} False; the system is paused.
+ */
+Universe.prototype.stepOnce = function() {
+
+  'use strict';
+
+  this.isPlaying = false;
+  this._lastFrameTime = null;
+  this.alpha = 1; // draw locations at the new step
+
+  exports.System.tick(1);
+  if (!this.isHeadless) {
+    exports.System.draw();
+  }
+  return this.isPlaying;
+};
+
+/**
+ * Sets the rate the FloraSystem runs relative to real time.
+ *
+ * @param {number} scale The time scale. 1 is real time, 0.25 is slow motion, 4 is fast-forward.
+ * @returns {number} The time scale.
+ */
+Universe.prototype.setTimeScale = function(scale) {
+
+  'use strict';
+
+  if (typeof scale !== 'number' || scale <= 0) {
+    exports.Utils.log('Universe: setTimeScale: scale must be a number greater than 0.');
+    return this.timeScale;
+  }
+  this.timeScale = scale;
+  return this.timeScale;
+};
+
 /**
  * Resets the FloraSystem.
  *
@@ -417,7 +548,10 @@ Universe.prototype.resetSystem = function() {
   // if system is paused, restart
   if (!this.isPlaying) {
     this.isPlaying = true;
-    window.requestAnimFrame(exports.animLoop);
+    this._lastFrameTime = null;
+    if (!this.isHeadless) {
+      window.requestAnimFrame(exports.animLoop);
+    }
   }
 };
 
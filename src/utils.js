@@ -38,6 +38,23 @@ Utils.map = function(value, min1, max1, min2, max2) { // returns a new value rel
   return (unitratio * (max2 - min2)) + min2;
 };
 
+/**
+ * Returns a psuedo-random number greater than or equal to 0 and less than 1
+ * from the System's seeded generator. Falls back to Math.random() if the
+ * System has not started.
+ *
+ * @returns {number} A number.
+ */
+Utils.random = function() {
+
+  'use strict';
+
+  if (exports.random) {
+    return exports.random.random();
+  }
+  return Math.random();
+};
+
 /**
  * Generates a psuedo-random number within a range.
  *
@@ -51,9 +68,9 @@ Utils.getRandomNumber = function(low, high, flt) {
   'use strict';
 
   if (flt) {
-    return Math.random()*(high-(low-1)) + low;
+    return Utils.random()*(high-(low-1)) + low;
   }
-  return Math.floor(Math.random()*(high-(low-1))) + low;
+  return Math.floor(Utils.random()*(high-(low-1))) + low;
 };
 
 /**
@@ -186,6 +203,9 @@ Utils.getWindowSize = function() {
     'width' : false,
     'height' : false
   };
+  if (typeof(window) === "undefined") { // running headless
+    return d;
+  }
   if (typeof(window.innerWidth) !== "undefined") {
     d.width = window.innerWidth;
   } else if (typeof(document.documentElement) !== "undefined" &&
@@ -13,8 +13,8 @@
  * @param {number} [opt_options.perlinTime = 0] Sets the Perlin Noise time.
  * @param {number} [opt_options.perlinAccelLow = -0.075] The lower bound of acceleration when isPerlin = true.
  * @param {number} [opt_options.perlinAccelHigh = 0.075] The upper bound of acceleration when isPerlin = true.
- * @param {number} [opt_options.offsetX = Math.random() * 10000] The x offset in the Perlin Noise space.
- * @param {number} [opt_options.offsetY = Math.random() * 10000] The y offset in the Perlin Noise space.
+ * @param {number} [opt_options.offsetX = Utils.random() * 10000] The x offset in the Perlin Noise space.
+ * @param {number} [opt_options.offsetY = Utils.random() * 10000] The y offset in the Perlin Noise space.
  * @param {boolean} [opt_options.isRandom = false] Set to true for walker to move in a random direction.
  * @param {number} [opt_options.randomRadius = 100] If isRandom = true, walker will look for a new location each frame based on this radius.
  * @param {number} [opt_options.width = 10] Width
@@ -37,8 +37,8 @@ function Walker(opt_options) {
   this.perlinTime = options.perlinTime || 0;
   this.perlinAccelLow = options.perlinAccelLow || -0.075;
   this.perlinAccelHigh = options.perlinAccelHigh || 0.075;
-  this.offsetX = options.offsetX || Math.random() * 10000;
-  this.offsetY = options.offsetY || Math.random() * 10000;
+  this.offsetX = options.offsetX || exports.Utils.random() * 10000;
+  this.offsetY = options.offsetY || exports.Utils.random() * 10000;
   this.isRandom = !!options.isRandom;
   this.randomRadius = options.randomRadius || 100;
   this.width = options.width === 0 ? 0 : options.width || 10;
@@ -59,7 +59,7 @@ Walker.prototype.step = function () {
   'use strict';
 
   var world = this.world,
-      friction;
+      friction, dt = exports.universe.dt;
 
   if (this.beforeStep) {
     this.beforeStep.apply(this);
@@ -69,7 +69,7 @@ Walker.prototype.step = function () {
 
     if (this.isPerlin) {
 
-      this.perlinTime += this.perlinSpeed;
+      this.perlinTime += this.perlinSpeed * dt;
 
       if (this.remainsOnScreen) {
         this.acceleration = new exports.Vector();
@@ -113,13 +113,15 @@ Walker.prototype.step = function () {
 
     // end -- APPLY FORCES
 
+    this.acceleration.mult(dt); // scale by the time step
     this.velocity.add(this.acceleration); // add acceleration
 
     if (this.maxSpeed) {
       this.velocity.limit(this.maxSpeed); // check if velocity > maxSpeed
     }
 
-    this.location.add(this.velocity); // add velocity
+    this.location.x += this.velocity.x * dt; // add velocity
+    this.location.y += this.velocity.y * dt;
 
     if (this.pointToDirection) { // object rotates toward direction
       if (this.velocity.mag() > 0.1) { // rotate toward direction?
@@ -7,7 +7,7 @@
  * @param {Object} [opt_options] World options.
  * @param {string} [opt_options.id = "m-" + World._idCount] An id. If an id is not provided, one is created.
  * @param {boolean} [opt_options.isStatic = true] Set to false if transforming the world every frame.
- * @param {number} [opt_options.clock = 0] Increments each frame.
+ * @param {number} [opt_options.clock = 0] Increments each step.
  * @param {number} [opt_options.c = 0.01] Coefficient of friction.
  * @param {Object} [opt_options.gravity = {x: 0, y: 1}] Gravity
  * @param {Object} [opt_options.wind = {x: 0, y: 0}] Wind
@@ -27,6 +27,11 @@
  * @param {number} [opt_options.zIndex = 0] The world z-index.
  * @param {function} [opt_options.beforeStep = ''] A function to run before the step() function.
  * @param {function} [opt_options.afterStep = ''] A function to run after the step() function.
+ * @param {string|Object} [opt_options.renderer = 'dom'] Renders the world and its elements. Valid options are 'dom',
+ *    'canvas' or an object implementing the renderer methods. See DOMRenderer.
+ * @param {boolean} [opt_options.isHeadless = false] If true, the world has no DOM element and requires
+ *    a width and height. Typically set by a headless Universe.
+ * @param {number} [opt_options.cellSize = 50] The cell size of the world's spatial hash. See SpatialHash.
  */
 function World(opt_options) {
 
@@ -54,15 +59,31 @@ function World(opt_options) {
   this.boxShadow = options.boxShadow || 0;
   this.zIndex = 0;
 
+  /**
+   * Set to true after the world is drawn the first time.
+   * @private
+   */
+  this._isDrawn = false;
+
   this.beforeStep = options.beforeStep || undefined;
   this.afterStep = options.afterStep || undefined;
 
+  this.isHeadless = !!options.isHeadless;
+
   /**
    * If no DOM element is passed for the world,
    * use document.body. Because the body initially has
    * no height, we use the window height.
    */
-  if (!options.el) {
+  if (this.isHeadless) {
+    if (!options.width || !options.height) {
+      throw new Error('World: headless worlds require a width and height.');
+    }
+    this.el = null;
+    this.width = options.width;
+    this.height = options.height;
+    this.id = options.id || World.name + "-" + World._idCount;
+  } else if (!options.el) {
     this.el = document.body; // if no world element is passed, use document.body
     this.width = winSize.width;
     this.height = winSize.height;
@@ -74,17 +95,36 @@ function World(opt_options) {
     this.height = this.el.offsetHeight;
   }
 
-  this.el.className = 'world floraElement';
-  this.el.style.width = this.width + 'px';
-  this.el.style.height = this.height + 'px';
+  if (this.el) {
+    this.el.className = 'world floraElement';
+    this.el.style.width = this.width + 'px';
+    this.el.style.height = this.height + 'px';
+  }
+
+  if (this.isHeadless) {
+    this.renderer = new exports.HeadlessRenderer();
+  } else if (exports.Interface.getDataType(options.renderer) === 'object') {
+    this.renderer = options.renderer;
+  } else if (options.renderer === 'canvas') {
+    this.renderer = new exports.CanvasRenderer();
+  } else {
+    this.renderer = new exports.DOMRenderer();
+  }
+  this.renderer.init(this);
+
+  this.spatialHash = new exports.SpatialHash({
+    cellSize: options.cellSize
+  });
 
   World._idCount += 1; // increment id
 
   // events
 
-  exports.Utils.addEvent(window, 'resize', function() { // listens for window resize
-    me.resize.call(me);
-  });
+  if (!this.isHeadless) {
+    exports.Utils.addEvent(window, 'resize', function() { // listens for window resize
+      me.resize.call(me);
+    });
+  }
 }
 
 World.prototype.name = 'World';
@@ -228,26 +268,11 @@ World.prototype.draw = function() {
    * If there's not an object controlling the camera,
    * we want to draw the world once.
    */
-  if (!exports.camera.controlObj && this.isStatic && this.clock > 0) {
+  if (!exports.camera.controlObj && this.isStatic && this._isDrawn) {
     return;
   }
 
-  this.el.style.cssText = exports.Utils.getCSSText({
-    x: this.location.x,
-    y: this.location.y,
-    s: this.scale,
-    a: this.angle,
-    o: this.opacity,
-    w: this.width,
-    h: this.height,
-    cm: this.colorMode,
-    color: this.color,
-    z: this.zIndex,
-    borderWidth: this.borderWidth,
-    borderStyle: this.borderStyle,
-    borderColor: this.borderColor,
-    borderRadius: this.borderRadius,
-    boxShadow: this.boxShadow
-  });
+  this.renderer.drawWorld(this);
+  this._isDrawn = true;
 };
 exports.World = World;
\ No newline at end of file
@@ -96,6 +96,71 @@ describe("A new Camera", function() {
   });
 });
 
+describe("A new CanvasRenderer", function() {
+
+  var system, obj, world;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      world = Flora.universe.first();
+      obj = new exports.CanvasRenderer();
+      obj.init(world);
+    });
+  });
+
+  afterEach(function() {
+    obj.destroy(world);
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(interfaceCheck.getDataType(obj.defaultColor)).toEqual('array');
+    expect(typeof obj._canvas).toEqual('object');
+    expect(typeof obj._context).toEqual('object');
+    expect(obj.name).toEqual('CanvasRenderer');
+  });
+
+  it("getRadius() should convert a borderRadius to a corner radius in pixels.", function() {
+    expect(exports.CanvasRenderer.getRadius(null, 20, 20)).toEqual(0);
+    expect(exports.CanvasRenderer.getRadius('100%', 20, 10)).toEqual(5);
+    expect(exports.CanvasRenderer.getRadius('10%', 20, 20)).toEqual(2);
+    expect(exports.CanvasRenderer.getRadius(4, 20, 20)).toEqual(4);
+  });
+
+  it("getColorString() should return a color string.", function() {
+    expect(exports.CanvasRenderer.getColorString('rgb', [255, 100, 0])).toEqual('rgb(255, 100, 0)');
+    expect(exports.CanvasRenderer.getColorString('rgb', 'transparent')).toEqual('transparent');
+  });
+
+  it("a World created with renderer = 'canvas' should not append its elements' DOM elements.", function() {
+    var canvasWorld, agent;
+    Flora.universe.addWorld({
+      el: document.createElement('div'),
+      renderer: 'canvas'
+    });
+    canvasWorld = Flora.universe.last();
+    agent = new exports.Agent({world: canvasWorld});
+    expect(canvasWorld.renderer.name).toEqual('CanvasRenderer');
+    expect(agent.el.parentNode).toBeFalsy();
+  });
+
+  it("should draw elements in zIndex order.", function() {
+    var canvasWorld, top, bottom, drawn = [];
+    Flora.universe.addWorld({
+      el: document.createElement('div'),
+      renderer: 'canvas'
+    });
+    canvasWorld = Flora.universe.last();
+    bottom = new exports.Agent({world: canvasWorld, zIndex: 1});
+    top = new exports.Agent({world: canvasWorld, zIndex: 10});
+    canvasWorld.renderer.drawElement = function(element) {
+      drawn.push(element);
+    };
+    Flora.System.draw();
+    expect(drawn.indexOf(bottom)).toBeLessThan(drawn.indexOf(top));
+  });
+});
+
 describe("A new Caption", function() {
 
   var system, obj;
@@ -143,6 +208,89 @@ describe("A new Cold", function() {
   });
 });
 
+describe("Collision", function() {
+
+  var a, b, collisions;
+
+  beforeEach(function() {
+    collisions = [];
+    Flora.System.start(function() {
+      exports.universe.update({
+        gravity: new exports.Vector(),
+        c: 0
+      });
+      a = new exports.Agent({
+        collidable: true,
+        borderRadius: '100%',
+        location: new exports.Vector(100, 100),
+        velocity: new exports.Vector(2, 0),
+        bounciness: 1,
+        onCollision: function(other) {
+          collisions.push(other);
+        }
+      });
+      b = new exports.Agent({
+        collidable: true,
+        borderRadius: '100%',
+        location: new exports.Vector(140, 100),
+        velocity: new exports.Vector(-2, 0),
+        bounciness: 1,
+        onCollision: function(other) {
+          collisions.push(other);
+        }
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should bounce colliding elements apart and call onCollision() on both.", function() {
+    exports.System.tick(20);
+    expect(a.velocity.x).toBeLessThan(0);
+    expect(b.velocity.x).toBeGreaterThan(0);
+    expect(b.location.x - a.location.x).toBeGreaterThan(20);
+    expect(collisions.length).toEqual(2);
+    expect(collisions[0]).toEqual(b);
+    expect(collisions[1]).toEqual(a);
+  });
+
+  it("should not collide elements whose group is not in the other's mask.", function() {
+    b.collisionGroup = 2;
+    b.collisionMask = 2;
+    exports.System.tick(20);
+    expect(a.velocity.x).toBeGreaterThan(0);
+    expect(collisions.length).toEqual(0);
+  });
+
+  it("getContact() should return the normal and depth of overlapping circles and rects.", function() {
+    a.location.x = 112;
+    b.location.x = 128;
+    b.collisionShape = 'rect';
+    expect(exports.Collision.getContact(a, b).normal.x).toEqual(1);
+    expect(exports.Collision.getContact(a, b).depth).toEqual(4);
+    b.location.x = 200;
+    expect(exports.Collision.getContact(a, b)).toEqual(null);
+  });
+
+  it("intersectsSegment() should check if a line crosses a circle or rect.", function() {
+    var start = new exports.Vector(a.location.x - 20, a.location.y),
+        end = new exports.Vector(a.location.x + 20, a.location.y);
+    expect(exports.Collision.intersectsSegment(a, start, end)).toEqual(true);
+    start.y = end.y = a.location.y + 15;
+    expect(exports.Collision.intersectsSegment(a, start, end)).toEqual(false);
+    a.collisionShape = 'rect';
+    start.y = end.y = a.location.y + a.height / 2 - 1;
+    expect(exports.Collision.intersectsSegment(a, start, end)).toEqual(true);
+  });
+});
+
 describe("A new ColorPalette", function() {
 
   var system, obj;
@@ -309,6 +457,141 @@ describe("A new Connector", function() {
   });
 });
 
+describe("A new DistanceConstraint", function() {
+
+  var obj, point, agent;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      point = new exports.Point({
+        location: new exports.Vector(100, 100),
+        isStatic: true
+      });
+      agent = new exports.Agent({
+        location: new exports.Vector(130, 100),
+        motorSpeed: 0
+      });
+      obj = new exports.DistanceConstraint(point, agent);
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.restLength).toEqual(30);
+    expect(obj.stiffness).toEqual(1);
+    expect(obj.damping).toEqual(0.5);
+    expect(obj.name).toEqual('DistanceConstraint');
+  });
+
+  it("should hold its parents close to its rest length.", function() {
+    exports.System.tick(100);
+    expect(exports.Vector.VectorSub(agent.location, point.location).mag()).toBeLessThan(32);
+    expect(point.location.x).toEqual(100);
+    expect(point.location.y).toEqual(100);
+  });
+});
+
+describe("A new Path", function() {
+
+  var obj;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = new exports.Path({
+        points: [new exports.Vector(100, 100), new exports.Vector(300, 100), new exports.Vector(200, 200)]
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300,
+      gravity: new exports.Vector(0, 0)
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(interfaceCheck.getDataType(obj.points)).toEqual('array');
+    expect(obj.radius).toEqual(20);
+    expect(obj.isClosed).toEqual(false);
+    expect(obj.showSegments).toEqual(true);
+    expect(typeof obj.world).toEqual('object');
+    expect(obj.name).toEqual('Path');
+  });
+
+  it("should draw a Connector for each segment.", function() {
+    expect(obj.getSegmentCount()).toEqual(2);
+    expect(exports.elementList.getAllByName('Connector').length).toEqual(2);
+    obj.isClosed = true;
+    obj.updateSegments();
+    expect(obj.getSegmentCount()).toEqual(3);
+    expect(exports.elementList.getAllByName('Connector').length).toEqual(3);
+  });
+
+  it("should have methods to add and remove points.", function() {
+    obj.addPoint(new exports.Vector(50, 50), 0);
+    expect(obj.points[0].x).toEqual(50);
+    expect(exports.elementList.getAllByName('Connector').length).toEqual(3);
+    obj.removePoint(0);
+    expect(obj.points.length).toEqual(3);
+    expect(exports.elementList.getAllByName('Connector').length).toEqual(2);
+  });
+
+  it("should keep following agents near the path.", function() {
+    var agent = new exports.Agent({
+      location: new exports.Vector(100, 150),
+      velocity: new exports.Vector(2, 0),
+      followPath: obj,
+      maxSpeed: 3,
+      maxSteeringForce: 0.5,
+      checkEdges: false
+    });
+    exports.System.tick(100);
+    expect(Math.abs(agent.location.y - 100)).toBeLessThan(40);
+  });
+});
+
+describe("A new DOMRenderer", function() {
+
+  var system, obj;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = Flora.universe.first().renderer;
+    });
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should be the default renderer.", function() {
+    expect(obj.name).toEqual('DOMRenderer');
+  });
+
+  it("addElement() should append an element's DOM element to its world.", function() {
+    var agent = new exports.Agent();
+    expect(agent.el.parentNode).toEqual(agent.world.el);
+  });
+
+  it("drawElement() should write the element's properties to its DOM element.", function() {
+    var agent = new exports.Agent({opacity: 0.5});
+    obj.drawElement(agent);
+    expect(agent.el.style.opacity).toEqual('0.5');
+  });
+});
+
 describe("A new ElementList", function() {
 
   var system;
@@ -419,6 +702,23 @@ describe("A new ElementList", function() {
       exports.elementList.destroyAll();
       expect(exports.elementList.all().length).toEqual(0);
   });
+  it("System.destroy() should destroy each element via Element.destroy().", function() {
+
+      var destroyed = 0;
+
+      new exports.Food({
+        onDestroy: function() {
+          destroyed += 1;
+        }
+      });
+      new exports.Attractor();
+
+      Flora.System.destroy();
+      expect(destroyed).toEqual(1);
+      expect(exports.food.length).toEqual(0);
+      expect(exports.attractors.length).toEqual(0);
+      expect(exports.elementList.all().length).toEqual(0);
+  });
   it("updatePropsByName() should update the properties of elements created " +
       "from the same constructor.", function() {
 
@@ -441,7 +741,100 @@ describe("A new ElementList", function() {
       }
       expect(check).toEqual(true);
   });
-  // destroyByWorld
+  it("destroyByWorld() should destroy all elements in the passed world.", function() {
+
+      var i, world = exports.universe.first();
+
+      for (i = 0; i < 10; i += 1) {
+        new exports.Point();
+      }
+
+      exports.elementList.destroyByWorld(world);
+      expect(exports.elementList.getAllByName('Point').length).toEqual(0);
+  });
+});
+
+describe("A new Evolution", function() {
+
+  var obj, genome;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = new exports.Evolution({
+        seed: 1,
+        reproduceEnergy: 60
+      });
+      genome = new exports.Genome({
+        genes: {maxSpeed: 5, energy: 80},
+        traits: {maxSpeed: {min: 1, max: 10}}
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300,
+      gravity: new exports.Vector(0, 0),
+      c: 0
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.mutationRate).toEqual(0.1);
+    expect(obj.reproductionCost).toEqual(0.5);
+    expect(obj.crossover).toEqual(false);
+    expect(obj.population).toEqual([]);
+    expect(obj.random.initialSeed).toEqual(1);
+    expect(obj.name).toEqual('Evolution');
+  });
+
+  it("spawn() should create an agent and record its genome in the lineage.", function() {
+    var agent = obj.spawn(genome, {location: new exports.Vector(100, 100)});
+    expect(agent.genome).toBe(genome);
+    expect(obj.population[0]).toBe(agent);
+    expect(obj.lineage[genome.id].generation).toEqual(0);
+    expect(obj.lineage[genome.id].died).toEqual(null);
+  });
+
+  it("should reproduce agents that meet the condition and share their energy.", function() {
+    var parent = obj.spawn(genome, {location: new exports.Vector(100, 100)}), child;
+    exports.System.tick(1);
+    expect(obj.population.length).toEqual(2);
+    child = obj.population[1];
+    expect(child.genome.parentIds).toEqual([genome.id]);
+    expect(child.genome.generation).toEqual(1);
+    expect(child.energy).toEqual(parent.energy);
+    expect(obj.getAncestors(child)[0].id).toEqual(genome.id);
+  });
+
+  it("should record when an agent dies.", function() {
+    var agent = obj.spawn(genome);
+    agent.destroy();
+    exports.System.tick(1);
+    expect(obj.population.length).toEqual(0);
+    expect(obj.lineage[genome.id].died).not.toEqual(null);
+  });
+
+  it("should draw its seed from the System's generator when not passed one.", function() {
+    var seed;
+    Flora.System.start(function() {}, {isHeadless: true, seed: 7}, [{width: 400, height: 300}]);
+    seed = new exports.Evolution().random.initialSeed;
+    Flora.System.start(function() {}, {isHeadless: true, seed: 7}, [{width: 400, height: 300}]);
+    expect(new exports.Evolution().random.initialSeed).toEqual(seed);
+  });
+
+  it("evolutions with the same seed should mutate children the same way.", function() {
+    var other = new exports.Evolution({seed: 1, mutationRate: 1}),
+        a, b;
+    obj.mutationRate = 1;
+    a = obj.reproduce(obj.spawn(genome));
+    b = other.reproduce(other.spawn(genome.clone()));
+    expect(a.genome.genes.maxSpeed).toEqual(b.genome.genes.maxSpeed);
+    expect(obj.getTraitStats('maxSpeed').count).toEqual(2);
+  });
 });
 
 describe("A new FeatureDetector", function() {
@@ -546,6 +939,168 @@ describe("A new Food", function() {
   });
 });
 
+describe("A new GeneticRunner", function() {
+
+  var obj, genome;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      new exports.Food({
+        location: new exports.Vector(200, 150),
+        quantity: 50
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300,
+      gravity: new exports.Vector(0, 0),
+      c: 0
+    }]);
+    genome = new exports.Genome({
+      genes: {maxSpeed: 5, motorSpeed: 2, consumes: ['food']},
+      traits: {maxSpeed: {min: 1, max: 10}, motorSpeed: {min: 0, max: 5}}
+    });
+    obj = new exports.GeneticRunner({
+      genomes: [genome],
+      populationSize: 4,
+      steps: 10,
+      seed: 1
+    });
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.genomes.length).toEqual(4);
+    expect(obj.genomes[0]).toBe(genome);
+    expect(obj.fitness).toEqual('distance');
+    expect(obj.eliteCount).toEqual(1);
+    expect(obj.generation).toEqual(0);
+    expect(obj.name).toEqual('GeneticRunner');
+  });
+
+  it("should require a genome and a known fitness function.", function() {
+    expect(function() {
+      new exports.GeneticRunner();
+    }).toThrow();
+    expect(function() {
+      new exports.GeneticRunner({genomes: [genome], fitness: 'speed'});
+    }).toThrow();
+  });
+
+  it("runGeneration() should reset the System, score each agent and breed the next generation.", function() {
+    var stats = obj.runGeneration();
+    expect(obj.vehicles.length).toEqual(4);
+    expect(obj.vehicles[0].age).toEqual(10);
+    expect(obj.vehicles[0].fitness).toEqual(obj.vehicles[0].distance);
+    expect(stats.best).not.toBeLessThan(stats.average);
+    expect(stats.bestGenome).toBe(obj.vehicles[0].genome);
+    expect(obj.genomes[0]).toBe(stats.bestGenome);
+    expect(obj.genomes.length).toEqual(4);
+    obj.runGeneration();
+    expect(exports.System.getStimulusList('food').length).toEqual(1);
+    expect(obj.history.length).toEqual(2);
+  });
+
+  it("should draw its seed from the System's generator when not passed one.", function() {
+    var seed;
+    Flora.System.start(function() {}, {isHeadless: true, seed: 7}, [{width: 400, height: 300}]);
+    seed = new exports.GeneticRunner({genomes: [genome]}).random.initialSeed;
+    Flora.System.start(function() {}, {isHeadless: true, seed: 7}, [{width: 400, height: 300}]);
+    expect(new exports.GeneticRunner({genomes: [genome]}).random.initialSeed).toEqual(seed);
+  });
+
+  it("should accept a fitness function.", function() {
+    obj.fitness = function(vehicle) {
+      return vehicle.agent.maxSpeed;
+    };
+    expect(obj.run(1)[0].best).toEqual(obj.vehicles[0].agent.maxSpeed);
+  });
+});
+
+describe("A new Genome", function() {
+
+  var obj;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = new exports.Genome({
+        genes: {maxSpeed: 5, motorSpeed: 2},
+        sensors: [{type: 'heat', behavior: 'AGGRESSIVE', sensitivity: 2}],
+        traits: {
+          maxSpeed: {min: 1, max: 10},
+          sensitivity: {min: 0.5, max: 5},
+          behavior: {values: ['AGGRESSIVE', 'COWARD']}
+        }
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.genes.maxSpeed).toEqual(5);
+    expect(obj.sensors.length).toEqual(1);
+    expect(obj.constructorName).toEqual('Agent');
+    expect(obj.generation).toEqual(0);
+    expect(obj.name).toEqual('Genome');
+  });
+
+  it("mutate() should only change traits and keep them in range.", function() {
+    var i;
+    for (i = 0; i < 20; i++) {
+      obj.mutate(1, 1, new exports.Random(i));
+      expect(obj.genes.maxSpeed).not.toBeLessThan(1);
+      expect(obj.genes.maxSpeed).not.toBeGreaterThan(10);
+      expect(['AGGRESSIVE', 'COWARD']).toContain(obj.sensors[0].behavior);
+    }
+    expect(obj.genes.motorSpeed).toEqual(2);
+    expect(obj.sensors[0].type).toEqual('heat');
+  });
+
+  it("clone() and crossover() should record parents and generations.", function() {
+    var clone = obj.clone(), child;
+    expect(clone.genes).toEqual(obj.genes);
+    expect(clone.genes).not.toBe(obj.genes);
+    clone.genes.maxSpeed = 8;
+    child = exports.Genome.crossover(obj, clone, new exports.Random(1));
+    expect(child.parentIds).toEqual([obj.id, clone.id]);
+    expect(child.generation).toEqual(2);
+    expect([5, 8]).toContain(child.genes.maxSpeed);
+  });
+
+  it("createAgent() should create an agent and its sensors from its genes.", function() {
+    var agent = obj.createAgent({location: new exports.Vector(100, 100)});
+    expect(agent.maxSpeed).toEqual(5);
+    expect(agent.location.x).toEqual(100);
+    expect(agent.sensors[0].sensitivity).toEqual(2);
+    expect(agent.sensors[0].behavior).toEqual('AGGRESSIVE');
+    expect(agent.genome).toBe(obj);
+  });
+
+  it("should mutate, cross over and pass on its controller.", function() {
+    var clone, child;
+    obj.controller = new exports.NeuralNetwork({layers: [5, 2], seed: 1});
+    clone = obj.clone();
+    expect(clone.controller.weights).toEqual(obj.controller.weights);
+    clone.mutate(1, 0.5, new exports.Random(1));
+    expect(clone.controller.weights).not.toEqual(obj.controller.weights);
+    child = exports.Genome.crossover(obj, clone, new exports.Random(1));
+    expect(child.controller.layers).toEqual([5, 2]);
+    expect(child.createAgent().controller).toBe(child.controller);
+  });
+});
+
 describe("A new Heat", function() {
 
   var system, obj;
@@ -570,6 +1125,39 @@ describe("A new Heat", function() {
   });
 });
 
+describe("A new HeadlessRenderer", function() {
+
+  var system, obj, world;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      world = Flora.universe.first();
+      obj = world.renderer;
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should be used by worlds in a headless universe.", function() {
+    expect(obj.name).toEqual('HeadlessRenderer');
+    expect(world.el).toEqual(null);
+    expect(world.width).toEqual(400);
+    expect(world.height).toEqual(300);
+  });
+
+  it("elements in a headless world should not carry a DOM element.", function() {
+    var agent = new exports.Agent();
+    expect(agent.el).toEqual(null);
+  });
+});
+
 describe("A new InputMenu", function() {
 
   var system, obj;
@@ -591,6 +1179,11 @@ describe("A new InputMenu", function() {
     expect(typeof obj._el).toEqual('object');
     expect(obj.name).toEqual('InputMenu');
   });
+  it("should list the time controls.", function() {
+    expect(obj.text.search('step')).not.toEqual(-1);
+    expect(obj.text.search('faster')).not.toEqual(-1);
+    expect(obj.text.search('slower')).not.toEqual(-1);
+  });
 });
 
 describe("The Interface", function() {
@@ -735,8 +1328,198 @@ describe("A new Agent", function() {
     expect(typeof obj.velocity).toEqual('object');
     expect(typeof obj.location).toEqual('object');
     expect(typeof obj.controlCamera).toEqual('boolean');
+    expect(typeof obj.arriveRadius).toEqual('number');
+    expect(typeof obj.wander).toEqual('boolean');
+    expect(typeof obj.wanderDistance).toEqual('number');
+    expect(typeof obj.wanderRadius).toEqual('number');
+    expect(typeof obj.wanderChange).toEqual('number');
+    expect(obj.alignDistance).toEqual(null);
+    expect(typeof obj.cohesionDistance).toEqual('number');
+    expect(typeof obj.viewAngle).toEqual('number');
+    expect(typeof obj.leaderDistance).toEqual('number');
+    expect(typeof obj.leaderSightRadius).toEqual('number');
+    expect(typeof obj.queue).toEqual('boolean');
+    expect(obj.energy).toEqual(null);
+    expect(obj.quantity).toEqual(null);
+    expect(interfaceCheck.getDataType(obj.consumes)).toEqual('array');
     expect(obj.name).toEqual('Agent');
   });
+  it("arrive() should slow down inside the arriveRadius.", function() {
+    var target = {
+      location: new exports.Vector(obj.location.x + obj.arriveRadius / 2, obj.location.y)
+    }, far = {
+      location: new exports.Vector(obj.location.x + obj.arriveRadius * 2, obj.location.y)
+    };
+    obj.velocity = new exports.Vector();
+    obj.maxSteeringForce = 100;
+    expect(obj.arrive(target).x).toBeCloseTo(obj.maxSpeed / 2);
+    expect(obj.arrive(far).x).toBeCloseTo(obj.maxSpeed);
+  });
+  it("pursue() and evade() should steer toward and away from the target's predicted location.", function() {
+    var target = {
+      location: new exports.Vector(obj.location.x + 100, obj.location.y),
+      velocity: new exports.Vector(0, 5)
+    };
+    obj.velocity = new exports.Vector();
+    expect(obj.predictLocation(target).y).toEqual(obj.location.y + 50);
+    expect(obj.pursue(target).y).toBeGreaterThan(0);
+    expect(obj.evade(target).y).toBeLessThan(0);
+  });
+  it("getWanderForce() should return a force and move the point on the wander circle.", function() {
+    var angle = obj.wanderAngle;
+    expect(typeof obj.getWanderForce().x).toEqual('number');
+    expect(obj.wanderAngle).not.toEqual(angle);
+  });
+  it("consumeStimuli() should deplete overlapping stimuli and replenish energy.", function() {
+    var food = new exports.Food({
+      location: new exports.Vector(obj.location.x, obj.location.y),
+      quantity: 4,
+      nutrition: 2
+    }), width = food.width;
+    obj.energy = 10;
+    obj.maxEnergy = 100;
+    obj.consumes = ['food'];
+    exports.universe.updateSpatialHashes();
+    obj.consumeStimuli();
+    expect(food.quantity).toEqual(3);
+    expect(food.width).toEqual(width * 0.75);
+    expect(obj.energy).toEqual(12);
+    obj.consumeRate = 5;
+    obj.consumeStimuli();
+    expect(food.quantity).toEqual(0);
+    expect(food.isDestroyed).toEqual(true);
+    expect(obj.energy).toEqual(18);
+    expect(obj.consumed).toEqual(4);
+  });
+  it("should be destroyed when its energy runs out.", function() {
+    obj.energy = 1;
+    obj.energyDecay = 0.5;
+    exports.System.tick(1);
+    expect(obj.isDestroyed).toEqual(false);
+    exports.System.tick(1);
+    expect(obj.isDestroyed).toEqual(true);
+  });
+  it("getWiringForce() should turn toward the slower motor.", function() {
+    var left = {offsetAngle: -30, intensity: 1},
+        right = {offsetAngle: 30, intensity: 0};
+    obj.velocity = new exports.Vector(1, 0);
+    obj.wiring = [{sensor: left}, {sensor: right}];
+    expect(obj.getWiringForce().y).toBeGreaterThan(0);
+    expect(obj.leftMotorSpeed).toEqual(obj.maxSpeed);
+    expect(obj.rightMotorSpeed).toEqual(0);
+    obj.wiring = [{sensor: left, crossed: true}, {sensor: right, crossed: true}];
+    expect(obj.getWiringForce().y).toBeLessThan(0);
+  });
+  it("should check its controller's input and output sizes.", function() {
+    expect(function() {
+      new exports.Agent({controller: new exports.NeuralNetwork({layers: [5, 6, 2]})});
+    }).toThrow();
+    expect(function() {
+      new exports.Agent({controller: new exports.NeuralNetwork({layers: [4, 1]})});
+    }).toThrow();
+    expect(new exports.Agent({
+      sensors: [new exports.Sensor()],
+      controller: new exports.NeuralNetwork({layers: [5, 6, 2]})
+    }).controller.layers[0]).toEqual(5);
+  });
+  it("should not register an Agent whose controller does not fit.", function() {
+    var clock, count = exports.elementList.all().length;
+    try {
+      new exports.Agent({controller: new exports.NeuralNetwork({layers: [3, 2]})});
+    } catch (e) {}
+    expect(exports.elementList.all().length).toEqual(count);
+    clock = exports.universe.first().clock;
+    exports.System.tick(1);
+    expect(exports.universe.first().clock).toEqual(clock + 1);
+  });
+  it("getControllerForce() should steer and thrust from the controller's outputs.", function() {
+    var outputs = [1, 0];
+    obj.sensors = [{intensity: 0.5}];
+    obj.velocity = new exports.Vector(1, 0);
+    obj.controller = {
+      feedForward: function(inputs) {
+        expect(inputs.length).toEqual(5);
+        expect(inputs[0]).toEqual(0.5);
+        expect(inputs[1]).toEqual(1 / obj.maxSpeed);
+        return outputs;
+      }
+    };
+    expect(obj.getControllerForce().y).toBeCloseTo(obj.maxSteeringForce);
+    outputs = [0, -1];
+    expect(obj.getControllerForce().x).toBeCloseTo(-obj.maxSteeringForce);
+  });
+  it("followLeader() should steer toward a point behind the leader and out of its way.", function() {
+    var leader = {
+      location: new exports.Vector(obj.location.x + 200, obj.location.y),
+      velocity: new exports.Vector(1, 0)
+    };
+    obj.velocity = new exports.Vector();
+    expect(obj.followLeader(leader).x).toBeGreaterThan(0);
+    leader.location.x = obj.location.x - 40; // obj is in front of the leader
+    obj.leaderSightRadius = 0;
+    var x = obj.followLeader(leader).x;
+    obj.leaderSightRadius = 30;
+    expect(obj.followLeader(leader).x).toBeGreaterThan(x);
+  });
+  it("checkQueue() should brake when a flockmate is directly ahead.", function() {
+    new exports.Agent({
+      location: new exports.Vector(obj.location.x + 20, obj.location.y)
+    });
+    exports.universe.updateSpatialHashes();
+    obj.velocity = new exports.Vector(2, 0);
+    obj.acceleration = new exports.Vector();
+    obj.checkQueue();
+    expect(obj.acceleration.x).toBeLessThan(0);
+  });
+  it("isFlockmate() should select flockmates by className, flockWith and viewAngle.", function() {
+    var ahead = new exports.Agent({
+      location: new exports.Vector(obj.location.x + 10, obj.location.y),
+      tags: ['fish']
+    }), behind = new exports.Agent({
+      location: new exports.Vector(obj.location.x - 10, obj.location.y),
+      className: 'shark'
+    });
+    obj.velocity = new exports.Vector(1, 0);
+    expect(obj.isFlockmate(ahead)).toEqual(true);
+    expect(obj.isFlockmate(behind)).toEqual(false);
+    expect(obj.isFlockmate(obj)).toEqual(false);
+    obj.flockWith = ['shark'];
+    expect(obj.isFlockmate(ahead)).toEqual(false);
+    expect(obj.isFlockmate(behind)).toEqual(true);
+    obj.flockWith = 'fish';
+    expect(obj.isFlockmate(ahead)).toEqual(true);
+    obj.flockWith = function(element) {
+      return element === behind;
+    };
+    expect(obj.isFlockmate(behind)).toEqual(true);
+    obj.viewAngle = 180;
+    expect(obj.isFlockmate(behind)).toEqual(false);
+  });
+  it("align() should use twice the object's current width when alignDistance is null.", function() {
+    var mate = new exports.Agent({
+      location: new exports.Vector(obj.location.x + 30, obj.location.y),
+      velocity: new exports.Vector(0, 1)
+    });
+    obj.velocity = new exports.Vector(1, 0);
+    obj.width = 10;
+    expect(obj.align([mate]).y).toEqual(0);
+    obj.width = 20;
+    expect(obj.align([mate]).y).toBeGreaterThan(0);
+    obj.alignDistance = 10;
+    expect(obj.align([mate]).y).toEqual(0);
+  });
+  it("getPathForce() should steer back toward a path when outside its radius and along it when inside.", function() {
+    var path = new exports.Path({
+      points: [new exports.Vector(0, obj.location.y + 100), new exports.Vector(1000, obj.location.y + 100)],
+      radius: 20,
+      showSegments: false
+    });
+    obj.velocity = new exports.Vector(1, 0);
+    expect(obj.getPathForce(path).y).toBeGreaterThan(0);
+    path.radius = 200;
+    expect(obj.getPathForce(path).x).toBeGreaterThan(0);
+    expect(obj.getPathForce(path).y).toEqual(0);
+  });
 });
 
 describe("A new Element", function() {
@@ -765,6 +1548,177 @@ describe("A new Element", function() {
     exports.mouse.loc.y = 1;
     expect(exports.Element.mouseIsInsideWorld(agent.world)).toEqual(true);
   });
+  it("destroy() should remove the element from the System and release anything attached to it.", function() {
+    var destroyed = false,
+        food = new exports.Food({
+          onDestroy: function() {
+            destroyed = true;
+          }
+        }),
+        sensor = new exports.Sensor({
+          type: 'food',
+          target: food,
+          activated: true
+        }),
+        seeker = new exports.Agent({
+          seekTarget: food,
+          sensors: [sensor]
+        }),
+        connector = new exports.Connector(food, agent);
+
+    food.destroy();
+    expect(destroyed).toEqual(true);
+    expect(food.isDestroyed).toEqual(true);
+    expect(exports.food.indexOf(food)).toEqual(-1);
+    expect(exports.elementList.all().indexOf(food)).toEqual(-1);
+    expect(exports.elementList.all().indexOf(connector)).toEqual(-1);
+    expect(sensor.target).toEqual(null);
+    expect(sensor.activated).toEqual(false);
+    expect(seeker.seekTarget).toEqual(null);
+
+    seeker.destroy();
+    expect(exports.elementList.all().indexOf(sensor)).toEqual(-1);
+  });
+  it("registerReference() should let go of or destroy elements referring to a destroyed element.", function() {
+    var cleared = null,
+        food = new exports.Food(),
+        follower = new exports.Agent({favorite: food}),
+        shadow = new exports.Agent({owner: food});
+
+    exports.Element.registerReference('favorite', {
+      onClear: function(element) {
+        cleared = element;
+      }
+    });
+    exports.Element.registerReference('owner', {destroy: true});
+
+    food.destroy();
+    expect(follower.favorite).toEqual(null);
+    expect(cleared).toBe(follower);
+    expect(shadow.isDestroyed).toEqual(true);
+
+    exports.Element._references = exports.Element._references.filter(function(reference) {
+      return reference.name !== 'favorite' && reference.name !== 'owner';
+    });
+  });
+});
+
+describe("A new NeuralNetwork", function() {
+
+  var obj;
+
+  beforeEach(function() {
+    obj = new exports.NeuralNetwork({
+      layers: [2, 3, 1],
+      seed: 1
+    });
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.layers).toEqual([2, 3, 1]);
+    expect(obj.activation).toEqual('tanh');
+    expect(obj.getWeightCount()).toEqual(13);
+    expect(obj.weights.length).toEqual(13);
+    expect(obj.name).toEqual('NeuralNetwork');
+  });
+
+  it("should validate its options.", function() {
+    expect(function() {
+      new exports.NeuralNetwork({layers: [2]});
+    }).toThrow();
+    expect(function() {
+      new exports.NeuralNetwork({layers: [2, 1], weights: [1, 2]});
+    }).toThrow();
+    expect(function() {
+      obj.feedForward([1]);
+    }).toThrow();
+  });
+
+  it("feedForward() should sum weighted inputs and biases through each layer.", function() {
+    var net = new exports.NeuralNetwork({
+      layers: [2, 1],
+      weights: [0.5, 1, -1],
+      activation: 'relu'
+    });
+    expect(net.feedForward([2, 1])).toEqual([1.5]);
+    expect(net.feedForward([0, 1])).toEqual([0]);
+    expect(obj.feedForward([0.5, -1])[0]).toBeGreaterThan(-1);
+    expect(obj.feedForward([0.5, -1])[0]).toBeLessThan(1);
+  });
+
+  it("should be serializable.", function() {
+    var copy = exports.NeuralNetwork.fromJSON(JSON.stringify(obj));
+    expect(copy.weights).toEqual(obj.weights);
+    expect(copy.feedForward([0.5, -1])).toEqual(obj.feedForward([0.5, -1]));
+  });
+
+  it("mutate() and crossover() should evolve its weights.", function() {
+    var other = obj.clone().mutate(1, 0.5, new exports.Random(1)),
+        child = exports.NeuralNetwork.crossover(obj, other, new exports.Random(2)),
+        i;
+    expect(other.weights).not.toEqual(obj.weights);
+    for (i = 0; i < child.weights.length; i++) {
+      expect([obj.weights[i], other.weights[i]]).toContain(child.weights[i]);
+    }
+  });
+});
+
+describe("A new Obstacle", function() {
+
+  var obj;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = new exports.Obstacle({
+        location: new exports.Vector(200, 150),
+        width: 60,
+        height: 60
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300,
+      gravity: new exports.Vector(0, 0)
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.isObstacle).toEqual(true);
+    expect(obj.isStatic).toEqual(true);
+    expect(obj.collisionShape).toEqual('circle');
+    expect(obj.width).toEqual(60);
+    expect(obj.height).toEqual(60);
+    expect(exports.obstacles.length).toEqual(1);
+    expect(obj.name).toEqual('Obstacle');
+  });
+
+  it("should bounce elements that do not avoid it.", function() {
+    var agent = new exports.Agent({
+      location: new exports.Vector(100, 150),
+      velocity: new exports.Vector(3, 0),
+      maxSpeed: 3
+    });
+    exports.System.tick(60);
+    expect(agent.location.x).toBeLessThan(170);
+    expect(agent.velocity.x).toBeLessThan(0);
+    expect(obj.location.x).toEqual(200);
+  });
+
+  it("should steer agents with avoidObstacles = true around it.", function() {
+    var agent = new exports.Agent({
+      location: new exports.Vector(130, 160),
+      velocity: new exports.Vector(3, 0),
+      avoidObstacles: true
+    });
+    expect(agent.getAvoidObstaclesForce().y).toBeGreaterThan(0);
+    agent.location.y = 250;
+    expect(agent.getAvoidObstaclesForce().mag()).toEqual(0);
+  });
 });
 
 describe("A new Oscillator", function() {
@@ -921,6 +1875,91 @@ describe("A new Predator", function() {
     expect(typeof obj.opacity).toEqual('number');
     expect(obj.name).toEqual('Predator');
   });
+
+  it("should hunt, eat and starve when passed a prey list.", function() {
+    var prey, hunter;
+    Flora.System.start(function() {
+      prey = new exports.Agent({
+        location: new exports.Vector(300, 150),
+        tags: ['prey'],
+        isStatic: true
+      });
+      hunter = new exports.Predator({
+        prey: ['prey'],
+        location: new exports.Vector(200, 150),
+        width: 30,
+        height: 30,
+        maxSpeed: 3,
+        energy: 50,
+        maxEnergy: 100
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300,
+      gravity: new exports.Vector(0, 0),
+      c: 0
+    }]);
+    expect(hunter.isStatic).toEqual(false);
+    expect(hunter.isPrey(prey)).toEqual(true);
+    expect(hunter.isPrey(hunter)).toEqual(false);
+    expect(exports.elementList.getPopulation('prey')).toEqual(1);
+    exports.System.tick(1);
+    expect(hunter.currentPrey).toBe(prey);
+    expect(hunter.velocity.x).toBeGreaterThan(0);
+    exports.System.tick(60);
+    expect(prey.isDestroyed).toEqual(true);
+    expect(hunter.currentPrey).toEqual(null);
+    expect(hunter.eaten).toEqual(1);
+    expect(hunter.energy).toBeGreaterThan(50);
+    expect(exports.elementList.getPopulation('prey')).toEqual(0);
+    exports.System.tick(1000);
+    expect(hunter.isDestroyed).toEqual(true);
+    expect(exports.elementList.getPopulation('predator')).toEqual(0);
+  });
+});
+
+describe("A new Random", function() {
+
+  var system, obj;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      obj = new exports.Random(42);
+    });
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.initialSeed).toEqual(42);
+    expect(obj.name).toEqual('Random');
+  });
+
+  it("random() should return a number greater than or equal to 0 and less than 1.", function() {
+    var i, val;
+    for (i = 0; i < 100; i++) {
+      val = obj.random();
+      expect(val).toBeGreaterThan(-1e-9);
+      expect(val).toBeLessThan(1);
+    }
+  });
+
+  it("generators with the same seed should return the same sequence.", function() {
+    var other = new exports.Random(42);
+    expect(obj.random()).toEqual(other.random());
+    expect(obj.random()).toEqual(other.random());
+    expect(new exports.Random(43).random()).not.toEqual(new exports.Random(42).random());
+  });
+
+  it("System.start() should seed the System's generator from the 'seed' option.", function() {
+    Flora.System.start(function() {}, {seed: 42});
+    expect(exports.random.initialSeed).toEqual(42);
+    expect(exports.Utils.random()).toEqual(new exports.Random(42).random());
+  });
 });
 
 describe("A new Repeller", function() {
@@ -974,8 +2013,148 @@ describe("A new Sensor", function() {
     expect(typeof obj.opacity).toEqual('number');
     expect(typeof obj.target).toEqual('object');
     expect(typeof obj.activated).toEqual('boolean');
+    expect(typeof obj.intensity).toEqual('number');
+    expect(obj.falloff).toEqual('linear');
+    expect(obj.fov).toEqual(360);
+    expect(typeof obj.range).toEqual('number');
+    expect(obj.occlusion).toEqual(false);
+    expect(interfaceCheck.getDataType(obj.detected)).toEqual('array');
     expect(obj.name).toEqual('Sensor');
   });
+  it("getIntensity() should fall off with distance from the target.", function() {
+    expect(obj.getIntensity()).toEqual(0);
+    obj.target = {
+      location: new exports.Vector(obj.location.x, obj.location.y),
+      width: 50,
+      height: 50
+    };
+    expect(obj.getIntensity()).toEqual(1);
+    obj.target.location.x += 50;
+    var near = obj.getIntensity();
+    obj.target.location.x += 50;
+    expect(obj.getIntensity()).toBeLessThan(near);
+    obj.target.location.x += 1000;
+    expect(obj.getIntensity()).toEqual(0);
+  });
+  it("getIntensity() should use the falloff curve and the stimulus' strength.", function() {
+    var stimulus = {
+      location: new exports.Vector(obj.location.x + 15, obj.location.y),
+      width: 50,
+      height: 50
+    }, linear = obj.getIntensity(stimulus);
+    obj.falloff = 'inverseSquare';
+    expect(obj.getIntensity(stimulus)).toBeLessThan(linear);
+    obj.falloff = 'gaussian';
+    expect(obj.getIntensity(stimulus)).toBeGreaterThan(linear);
+    obj.falloff = 'linear';
+    stimulus.strength = 0.5;
+    expect(obj.getIntensity(stimulus)).toBeCloseTo(linear / 2);
+  });
+  it("isInside() should match the range getIntensity() uses.", function() {
+    var stimulus = {
+      location: new exports.Vector(obj.location.x + 50, obj.location.y),
+      width: 50,
+      height: 50
+    };
+    expect(obj.isInside(obj, stimulus, obj.sensitivity)).toEqual(obj.getIntensity(stimulus) > 0);
+    expect(obj.isInside(obj, stimulus)).toEqual(true);
+    stimulus.location.x += 1000;
+    expect(obj.isInside(obj, stimulus, obj.sensitivity)).toEqual(false);
+    expect(obj.getIntensity(stimulus)).toEqual(0);
+  });
+  it("canSee() should check the field of view and occluders.", function() {
+    var stimulus = {
+      location: new exports.Vector(obj.location.x + 100, obj.location.y),
+      width: 50,
+      height: 50
+    };
+    obj.angle = 0;
+    obj.fov = 90;
+    expect(obj.canSee(stimulus)).toEqual(true);
+    obj.angle = 180;
+    expect(obj.canSee(stimulus)).toEqual(false);
+    obj.angle = 0;
+    obj.occlusion = true;
+    var obstacle = new exports.Obstacle({
+      location: new exports.Vector(obj.location.x + 50, obj.location.y),
+      width: 10,
+      height: 10
+    });
+    expect(obj.canSee(stimulus)).toEqual(false);
+    obstacle.location.y += 20;
+    expect(obj.canSee(stimulus)).toEqual(true);
+  });
+  it("selectTarget() should pick a target using the targetPolicy.", function() {
+    var near = {
+      target: {location: new exports.Vector(obj.location.x + 10, obj.location.y)},
+      intensity: 0.2
+    }, strong = {
+      target: {location: new exports.Vector(obj.location.x + 50, obj.location.y)},
+      intensity: 0.8
+    }, detected = [strong, near];
+    expect(obj.targetPolicy).toEqual('nearest');
+    expect(obj.selectTarget(detected)).toEqual(near);
+    obj.targetPolicy = 'strongest';
+    expect(obj.selectTarget(detected)).toEqual(strong);
+    obj.targetPolicy = 'sticky';
+    obj.target = strong.target;
+    expect(obj.selectTarget(detected)).toEqual(strong);
+    obj.target = null;
+    expect(obj.selectTarget(detected)).toEqual(near);
+    expect(obj.selectTarget([])).toEqual(null);
+  });
+  it("should report all detected stimuli and sum their forces when targetPolicy = 'sum'.", function() {
+    var force;
+    new exports.Heat({
+      location: new exports.Vector(obj.location.x + 10, obj.location.y),
+      width: 20,
+      height: 20
+    });
+    new exports.Heat({
+      location: new exports.Vector(obj.location.x + 90, obj.location.y),
+      width: 100,
+      height: 100
+    });
+    obj.type = 'heat';
+    obj.behavior = 'AGGRESSIVE';
+    exports.universe.updateSpatialHashes();
+    obj.step();
+    expect(obj.detected.length).toEqual(2);
+    force = obj.getActivationForce({agent: new exports.Agent()}).x;
+    obj.targetPolicy = 'sum';
+    obj.step();
+    expect(obj.getActivationForce({agent: new exports.Agent()}).x).toBeGreaterThan(force);
+  });
+  it("should invoke behaviors registered by name or passed as a function.", function() {
+    var calls = [], agent = new exports.Agent(), target = new exports.Heat();
+    exports.Sensor.registerBehavior('TEST', function(sensor, vehicle, stimulus, intensity) {
+      calls.push([sensor, vehicle, stimulus, intensity]);
+      return new exports.Vector(intensity, 0);
+    });
+    expect(interfaceCheck.getDataType(exports.Sensor.getBehavior('AGGRESSIVE'))).toEqual('function');
+    expect(exports.Sensor.getBehavior('UNKNOWN')).toEqual(null);
+    obj.behavior = 'TEST';
+    obj.target = target;
+    obj.intensity = 0.5;
+    expect(obj.getActivationForce({agent: agent}).x).toEqual(0.5);
+    expect(calls[0][0]).toBe(obj);
+    expect(calls[0][1]).toBe(agent);
+    expect(calls[0][2]).toBe(target);
+    expect(calls[0][3]).toEqual(0.5);
+    obj.behavior = function(sensor, vehicle, stimulus, intensity) {
+      return new exports.Vector(0, intensity);
+    };
+    expect(obj.getActivationForce({agent: agent}).y).toEqual(0.5);
+    expect(function() {
+      exports.Sensor.registerBehavior('BAD');
+    }).toThrow();
+  });
+  it("getActivatedColor() should blend from inactiveColor to activatedColor by intensity.", function() {
+    obj.inactiveColor = [255, 255, 255];
+    obj.activatedColor = [55, 155, 255];
+    obj.intensity = 0.5;
+    expect(obj.getActivatedColor()).toEqual([155, 205, 255]);
+  });
 });
 
 describe("SimplexNoise", function() {
@@ -1001,6 +2180,99 @@ describe("SimplexNoise", function() {
   });
 });
 
+describe("A new SpatialHash", function() {
+
+  var obj, near, far, big;
+
+  beforeEach(function() {
+    obj = new exports.SpatialHash({cellSize: 20});
+    near = {id: 'near', location: new exports.Vector(10, 10), width: 5, height: 5};
+    far = {id: 'far', location: new exports.Vector(200, 200), width: 5, height: 5};
+    big = {id: 'big', location: new exports.Vector(100, 100), width: 100, height: 100};
+    obj.insert(near);
+    obj.insert(far);
+    obj.insert(big);
+  });
+
+  afterEach(function() {
+    obj = null;
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.cellSize).toEqual(20);
+    expect(obj.maxElementSize).toEqual(100);
+    expect(obj.name).toEqual('SpatialHash');
+  });
+
+  it("getNeighbors() should return elements within a radius of a location.", function() {
+    var neighbors = obj.getNeighbors(new exports.Vector(0, 0), 30);
+    expect(neighbors.length).toEqual(1);
+    expect(neighbors[0]).toEqual(near);
+  });
+
+  it("getElementsInRect() should return elements overlapping a rectangle once.", function() {
+    var elements = obj.getElementsInRect(60, 60, 100, 100);
+    expect(elements.length).toEqual(1);
+    expect(elements[0]).toEqual(big);
+    expect(obj.getElementsInRect(0, 0, 300, 300).length).toEqual(3);
+  });
+
+  it("clear() should remove all elements.", function() {
+    obj.clear();
+    expect(obj.getElementsInRect(0, 0, 300, 300).length).toEqual(0);
+    expect(obj.maxElementSize).toEqual(0);
+  });
+});
+
+describe("A new Spring", function() {
+
+  var obj, agentA, agentB;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      exports.universe.update({
+        gravity: new exports.Vector(),
+        c: 0
+      });
+      agentA = new exports.Agent({
+        location: new exports.Vector(100, 100),
+        motorSpeed: 0
+      });
+      agentB = new exports.Agent({
+        location: new exports.Vector(200, 100),
+        motorSpeed: 0
+      });
+      obj = new exports.Spring(agentA, agentB, {
+        restLength: 50,
+        showConnector: true
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.restLength).toEqual(50);
+    expect(typeof obj.stiffness).toEqual('number');
+    expect(typeof obj.damping).toEqual('number');
+    expect(obj.connector.name).toEqual('Connector');
+    expect(obj.name).toEqual('Spring');
+  });
+
+  it("should pull stretched parents together.", function() {
+    exports.System.tick(1);
+    expect(agentA.velocity.x).toBeGreaterThan(0);
+    expect(agentB.velocity.x).toBeLessThan(0);
+  });
+});
+
 describe("A new StatsDisplay", function() {
 
   var system, obj;
@@ -1033,6 +2305,73 @@ describe("A new StatsDisplay", function() {
 });
 
 
+describe("System", function() {
+
+  var agent;
+
+  beforeEach(function() {
+    Flora.System.start(function() {
+      agent = new exports.Agent({
+        velocity: new exports.Vector(1, 0)
+      });
+    }, {
+      isHeadless: true
+    }, [{
+      width: 400,
+      height: 300
+    }]);
+  });
+
+  afterEach(function() {
+    Flora.System.destroy();
+  });
+
+  it("tick() should advance the system a number of steps and return all elements.", function() {
+    var x = agent.location.x,
+        elements = exports.System.tick(10);
+    expect(interfaceCheck.getDataType(elements)).toEqual('array');
+    expect(exports.universe.first().clock).toEqual(10);
+    expect(agent.location.x).toBeGreaterThan(x);
+  });
+
+  it("tick() should increment each world's clock once per step.", function() {
+    var clock = exports.universe.first().clock;
+    exports.System.tick(3);
+    expect(exports.universe.first().clock).toEqual(clock + 3);
+  });
+
+  it("registerStimulus() should add a stimulus type that elements, sensors and the default colors use.", function() {
+    var stimulus = exports.System.registerStimulus('sound', {
+      startColor: [255, 255, 255],
+      endColor: [150, 150, 150]
+    }), sound, sensor;
+    expect(stimulus.list).toEqual('sounds');
+    expect(exports.System.getStimulus('sound')).toEqual(stimulus);
+    expect(exports.defaultColors.getColor('sound').startColor).toEqual([255, 255, 255]);
+    sound = new exports.Agent({
+      className: 'sound',
+      location: new exports.Vector(120, 100),
+      isStatic: true
+    });
+    sensor = new exports.Sensor({
+      type: 'sound',
+      location: new exports.Vector(100, 100)
+    });
+    expect(exports.sounds.length).toEqual(1);
+    expect(exports.System.getStimulusList('sound')[0]).toEqual(sound);
+    exports.System.tick(1);
+    expect(sensor.activated).toEqual(true);
+    expect(sensor.target).toEqual(sound);
+  });
+
+  it("universe.stepOnce() should pause the system and advance it one step.", function() {
+    var clock = exports.universe.first().clock;
+    expect(exports.universe.stepOnce()).toEqual(false);
+    expect(exports.universe.isPlaying).toEqual(false);
+    expect(exports.universe.first().clock).toEqual(clock + 1);
+  });
+});
+
 describe("A new Universe", function() {
 
   var system, obj;
@@ -1052,8 +2391,21 @@ describe("A new Universe", function() {
     expect(interfaceCheck.getDataType(obj.zSorted)).toEqual('boolean');
     expect(interfaceCheck.getDataType(obj.showStats)).toEqual('boolean');
     expect(interfaceCheck.getDataType(obj._records)).toEqual('array');
+    expect(interfaceCheck.getDataType(obj.timeStep)).toEqual('number');
+    expect(interfaceCheck.getDataType(obj.maxSubSteps)).toEqual('number');
+    expect(obj.dt).toEqual(1);
+    expect(obj.timeScale).toEqual(1);
     expect(obj.name).toEqual('Universe');
   });
+  it("setTimeScale() should set the rate the system runs relative to real time.", function() {
+    expect(obj.setTimeScale(0.25)).toEqual(0.25);
+    expect(obj.setTimeScale(4)).toEqual(4);
+    expect(obj.setTimeScale(0)).toEqual(4);
+  });
+  it("dt should scale with the time step.", function() {
+    var universe = new exports.Universe({timeStep: 1000 / 30});
+    expect(universe.dt).toEqual(2);
+  });
   it("addWorld() should add a new World to the 'records' array.", function() {
     obj.addWorld();
     expect(obj.all().length).toEqual(1);
@@ -1111,6 +2463,24 @@ describe("A new Universe", function() {
     obj.destroyWorld(id);
     expect(obj.getWorldById(id)).toEqual(null);
   });
+  it("destroyWorld() should only remove the elements of a headless world.", function() {
+    var worldA, worldB, agentB;
+    Flora.System.start(function() {}, {
+      isHeadless: true
+    }, [{width: 400, height: 300}, {width: 400, height: 300}]);
+    worldA = exports.universe.first();
+    worldB = exports.universe.last();
+    new exports.Attractor({world: worldA});
+    new exports.Agent({world: worldA});
+    agentB = new exports.Agent({world: worldB});
+    new exports.Attractor({world: worldB});
+    exports.universe.destroyWorld(worldA.id);
+    expect(exports.universe.count()).toEqual(1);
+    expect(exports.elementList.count()).toEqual(3); // worldB and its agent and attractor
+    expect(agentB.isDestroyed).toEqual(false);
+    expect(exports.attractors.length).toEqual(1);
+    expect(exports.attractors[0].world).toBe(worldB);
+  });
   it("destroyAll() should remove all worlds from the DOM and reset the records array.", function() {
     obj.addWorld();
     obj.addWorld();
@@ -1368,6 +2738,8 @@ describe("A new World", function() {
     expect(typeof obj.location).toEqual('object');
     expect(typeof obj.width).toEqual('number');
     expect(typeof obj.height).toEqual('number');
+    expect(typeof obj.renderer).toEqual('object');
+    expect(obj.spatialHash.name).toEqual('SpatialHash');
     expect(obj.name).toEqual('World');
   });
 